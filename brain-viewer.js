@@ -0,0 +1,214 @@
+// Brain viewer
+// Shows how the current champion decides to jump:
+// - a heatmap over normalized distance (x) x own height (y) of the brain's output
+//   (green = jump, red = stay; brighter = more certain), with the live bot's inputs
+//   marked on it while the AI plays
+// - a network diagram with each weight colored by sign (blue +, red -) and drawn thicker the larger it is
+// Inputs other than distance and height are held at the live values during AI play,
+// otherwise at HEATMAP_REFERENCE_INPUTS.
+
+const HEATMAP_CELLS_X = 50;
+const HEATMAP_CELLS_Y = 30;
+const BRAIN_VIEWER_REFRESH_MS = 100;
+const NODE_RADIUS = 5;
+
+// Other sensors' values when no game is being played: a block ahead, bot resting on the ground
+const HEATMAP_REFERENCE_INPUTS = {
+  obstacleWidth: 0.25,
+  obstacleHeight: 0.25,
+  obstacleElevation: 0,
+  obstacleSpeed: 0.5,
+  nextGap: 1,
+  velocityY: 0,
+  grounded: 1
+};
+
+// UI element references
+const brainUI = {
+  panel: null,
+  info: null,
+  heatmap: null,
+  network: null,
+  openButton: null
+};
+
+let brainViewerTimer = null;
+
+function initBrainViewer() {
+  brainUI.panel = document.getElementById('brain-viewer');
+  brainUI.info = document.getElementById('brainInfo');
+  brainUI.heatmap = document.getElementById('brainHeatmap');
+  brainUI.network = document.getElementById('brainNetwork');
+  brainUI.openButton = document.getElementById('brainViewerBtn');
+
+  if (!brainUI.panel) {
+    return;
+  }
+
+  brainUI.openButton.addEventListener('click', toggleBrainViewer);
+  document.getElementById('brainClose').addEventListener('click', toggleBrainViewer);
+  document.addEventListener('keydown', event => {
+    if (isTypingInField(event) || (window.levelEditor && window.levelEditor.isActive())) {
+      return;
+    }
+    if (event.key === 'b' || event.key === 'B') {
+      toggleBrainViewer();
+    }
+  });
+}
+
+function toggleBrainViewer() {
+  brainUI.panel.hidden = !brainUI.panel.hidden;
+  if (brainUI.panel.hidden) {
+    clearInterval(brainViewerTimer);
+    brainViewerTimer = null;
+  } else {
+    drawBrainViewer();
+    brainViewerTimer = setInterval(drawBrainViewer, BRAIN_VIEWER_REFRESH_MS);
+  }
+}
+
+// The genome the game's AI is playing, else the swarm's best, else the game AI's chosen genome
+// Returns { genome, layout, inputs (live sensor values or null), source } or null
+function currentChampion() {
+  const ai = window.geoDashGame ? window.geoDashGame.getAI() : null;
+  if (ai && ai.inputs) {
+    return Object.assign({ source: `playing ${ai.name}` }, ai);
+  }
+  if (window.swarmVisualizer && window.swarmVisualizer.getBestGenome()) {
+    return {
+      genome: window.swarmVisualizer.getBestGenome(),
+      layout: window.swarmVisualizer.getBrainLayout(),
+      inputs: null,
+      source: 'swarm best'
+    };
+  }
+  if (ai && ai.genome) {
+    return Object.assign({ source: ai.name }, ai);
+  }
+  return null;
+}
+
+function drawBrainViewer() {
+  const champion = currentChampion();
+  const heatCtx = brainUI.heatmap.getContext('2d');
+  const netCtx = brainUI.network.getContext('2d');
+  heatCtx.clearRect(0, 0, brainUI.heatmap.width, brainUI.heatmap.height);
+  netCtx.clearRect(0, 0, brainUI.network.width, brainUI.network.height);
+
+  if (!champion) {
+    brainUI.info.textContent = 'No trained AI yet';
+    return;
+  }
+  const brain = new Brain(champion.layout, champion.genome);
+  brainUI.info.textContent = `${champion.source}: ${describeBrainLayout(champion.layout)}`;
+
+  drawDecisionHeatmap(heatCtx, brainUI.heatmap, brain, champion.inputs);
+  drawNetworkDiagram(netCtx, brainUI.network, brain);
+}
+
+// Brain output over distance x height; other inputs from the live game or the reference values
+function drawDecisionHeatmap(ctx, canvas, brain, liveInputs) {
+  const sensors = brain.layout.sensors;
+  const xIndex = sensors.indexOf('distance');
+  const yIndex = sensors.indexOf('height');
+  if (xIndex < 0 || yIndex < 0) {
+    ctx.fillStyle = '#555';
+    ctx.font = '11px Arial';
+    ctx.fillText('Heatmap needs the distance and height sensors', 4, 14);
+    return;
+  }
+
+  const inputs = liveInputs ? liveInputs.slice() : sensors.map(name => HEATMAP_REFERENCE_INPUTS[name] || 0);
+  const cellW = canvas.width / HEATMAP_CELLS_X;
+  const cellH = canvas.height / HEATMAP_CELLS_Y;
+  for (let cx = 0; cx < HEATMAP_CELLS_X; cx++) {
+    for (let cy = 0; cy < HEATMAP_CELLS_Y; cy++) {
+      inputs[xIndex] = (cx + 0.5) / HEATMAP_CELLS_X;
+      inputs[yIndex] = (cy + 0.5) / HEATMAP_CELLS_Y;
+      const output = brain.forward(inputs);
+      const shade = Math.round(80 + 175 * Math.abs(Math.tanh(output)));
+      ctx.fillStyle = output > 0 ? `rgb(0, ${shade}, 60)` : `rgb(${shade}, 40, 40)`;
+      ctx.fillRect(cx * cellW, cy * cellH, Math.ceil(cellW), Math.ceil(cellH));
+    }
+  }
+
+  // Axis labels
+  ctx.fillStyle = 'white';
+  ctx.font = '10px Arial';
+  ctx.fillText('distance →', canvas.width - 60, canvas.height - 4);
+  ctx.fillText('↓ height (y)', 4, 12);
+
+  // Live bot position in input space
+  if (liveInputs) {
+    const x = liveInputs[xIndex] * canvas.width;
+    const y = liveInputs[yIndex] * canvas.height;
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillStyle = brain.shouldJump(liveInputs) ? 'lime' : 'yellow';
+    ctx.fill();
+  }
+}
+
+// Neurons as circles per layer, weights as lines (blue positive, red negative, width by magnitude)
+function drawNetworkDiagram(ctx, canvas, brain) {
+  const sizes = brain.sizes;
+  const margin = 40;
+  const layerX = layer => margin + layer * (canvas.width - 2 * margin) / (sizes.length - 1);
+  const nodeY = (layer, n) => (n + 1) * canvas.height / (sizes[layer] + 1);
+
+  // Weights in genome order: per neuron, its input weights then its bias
+  let g = 0;
+  for (let layer = 1; layer < sizes.length; layer++) {
+    for (let n = 0; n < sizes[layer]; n++) {
+      for (let i = 0; i < sizes[layer - 1]; i++) {
+        const weight = brain.genome[g++];
+        const strength = Math.min(1, Math.abs(weight) / GENE_LIMIT);
+        ctx.strokeStyle = weight >= 0 ? `rgba(0, 100, 255, ${0.15 + 0.85 * strength})` : `rgba(220, 40, 40, ${0.15 + 0.85 * strength})`;
+        ctx.lineWidth = 0.5 + 3 * strength;
+        ctx.beginPath();
+        ctx.moveTo(layerX(layer - 1), nodeY(layer - 1, i));
+        ctx.lineTo(layerX(layer), nodeY(layer, n));
+        ctx.stroke();
+      }
+      g++; // bias, shown as the node's fill below
+    }
+  }
+
+  // Nodes: hidden/output nodes are filled by the sign of their bias
+  g = 0;
+  ctx.font = '9px Arial';
+  for (let layer = 0; layer < sizes.length; layer++) {
+    for (let n = 0; n < sizes[layer]; n++) {
+      let fill = '#ddd';
+      if (layer > 0) {
+        g += sizes[layer - 1];
+        fill = brain.genome[g++] >= 0 ? '#7fb2ff' : '#ff8a8a';
+      }
+      ctx.fillStyle = fill;
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(layerX(layer), nodeY(layer, n), NODE_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = '#333';
+      if (layer === 0) {
+        ctx.fillText(brain.layout.sensors[n], 0, nodeY(layer, n) - 7);
+      } else if (layer === sizes.length - 1) {
+        ctx.fillText('jump', layerX(layer) + 8, nodeY(layer, n) + 3);
+      }
+    }
+  }
+}
+
+// Initialize when page loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initBrainViewer);
+} else {
+  initBrainViewer();
+}
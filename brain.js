@@ -0,0 +1,108 @@
+// Feed-forward neural network "brain" for the bots
+// A genome is a flat weight vector; the brain layout says how to read it.
+// Weights are stored layer by layer, and for each neuron its input weights come first, then its bias.
+// With no hidden layers this is the original linear model: [w_dist, w_height, b].
+
+// Activation functions for the hidden layers (the output neuron is always linear)
+const ACTIVATIONS = {
+  tanh: x => Math.tanh(x),
+  relu: x => Math.max(0, x),
+  sigmoid: x => 1 / (1 + Math.exp(-x)),
+  linear: x => x
+};
+
+// Default layout: distance + height inputs, no hidden layers
+// sensors (see sensors.js) name the inputs in order, so inputs === sensors.length
+const DEFAULT_BRAIN_LAYOUT = {
+  sensors: DEFAULT_SENSORS,
+  inputs: DEFAULT_SENSORS.length,
+  hidden: [],
+  activation: "tanh"
+};
+
+// Build a layout from loose settings (e.g. the swarm panel or CLI flags)
+// hidden may be an array of sizes or a string like "8,4"; sensors an array or "distance,height"
+function makeBrainLayout(settings = {}) {
+  let hidden = settings.hidden !== undefined ? settings.hidden : DEFAULT_BRAIN_LAYOUT.hidden;
+  if (typeof hidden === "string") {
+    hidden = hidden.split(",").map(s => s.trim()).filter(s => s.length > 0).map(Number);
+  }
+  if (hidden.some(size => !Number.isInteger(size) || size < 1)) {
+    throw new Error(`Invalid hidden layer sizes: ${settings.hidden}`);
+  }
+
+  const activation = settings.activation || DEFAULT_BRAIN_LAYOUT.activation;
+  if (!ACTIVATIONS[activation]) {
+    throw new Error(`Unknown activation "${activation}" (use ${Object.keys(ACTIVATIONS).join(", ")})`);
+  }
+
+  const sensors = parseSensorList(settings.sensors || DEFAULT_BRAIN_LAYOUT.sensors);
+
+  return {
+    sensors: sensors,
+    inputs: sensors.length,
+    hidden: hidden,
+    activation: activation
+  };
+}
+
+// Neuron counts per layer, from inputs to the single output
+function brainLayerSizes(layout) {
+  return [layout.inputs, ...layout.hidden, 1];
+}
+
+// Number of genes needed for a layout
+function brainGenomeLength(layout) {
+  const sizes = brainLayerSizes(layout);
+  let length = 0;
+  for (let i = 1; i < sizes.length; i++) {
+    length += sizes[i] * (sizes[i - 1] + 1); // weights + bias per neuron
+  }
+  return length;
+}
+
+// Human-readable layout, e.g. "2-8-4-1 tanh [distance, height]"
+function describeBrainLayout(layout) {
+  return `${brainLayerSizes(layout).join("-")} ${layout.activation} [${layout.sensors.join(", ")}]`;
+}
+
+class Brain {
+  constructor(layout, genome) {
+    const expected = brainGenomeLength(layout);
+    if (genome.length !== expected) {
+      throw new Error(`Genome has ${genome.length} genes but layout ${describeBrainLayout(layout)} needs ${expected}`);
+    }
+    this.layout = layout;
+    this.genome = genome;
+    this.sizes = brainLayerSizes(layout);
+    this.activation = ACTIVATIONS[layout.activation];
+  }
+
+  // Raw network output for an input vector
+  forward(inputs) {
+    let values = inputs;
+    let g = 0;
+
+    for (let layer = 1; layer < this.sizes.length; layer++) {
+      const isOutput = layer === this.sizes.length - 1;
+      const next = new Array(this.sizes[layer]);
+
+      for (let n = 0; n < next.length; n++) {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+          sum += this.genome[g++] * values[i];
+        }
+        sum += this.genome[g++]; // bias
+        next[n] = isOutput ? sum : this.activation(sum);
+      }
+      values = next;
+    }
+
+    return values[0];
+  }
+
+  // Jump when the output is positive
+  shouldJump(inputs) {
+    return this.forward(inputs) > 0;
+  }
+}
@@ -0,0 +1,139 @@
+// Training checkpoints
+// A GA run frozen between two generations, with everything needed to carry on exactly as if it
+// had never stopped. The swarm panel keeps one in localStorage; the command-line trainer writes
+// one to a file.
+//
+//   {
+//     "version": 1, "date": "...", "source": "swarm",
+//     "seed": 42, "popSize": 50, "layout": { ... }, "level": null, "difficulty": { ... }, "ga": { ... },
+//     "generation": 40, "rngState": 123456789,      // rng state after breeding the next population
+//     "population": [[ ... ], ...],                 // the population generation 41 will score
+//     "bestGenome": [ ... ], "bestFitness": 30.02,   // generation 40's best
+//     "champion": { "genome": [ ... ], "fitness": 31.5, "generation": 37, "stage": 1, "courseSeed": 98765 },
+//     "optimizerState": null,                       // what an alternative optimizer keeps (optimizers.js)
+//     "history": [{ "generation": 1, "best": 12.5, ... }, ...]   // per-generation stats
+//   }
+
+const CHECKPOINT_VERSION = 1;
+const CHECKPOINT_KEY = "geodash.swarmCheckpoint";
+const CHECKPOINT_EVERY = 10; // Default generations between saves
+
+// Snapshot of an engine between generations (e.g. from onGeneration)
+function engineCheckpoint(engine, source) {
+  return {
+    version: CHECKPOINT_VERSION,
+    date: new Date().toISOString(),
+    source: source,
+    seed: engine.seed,
+    popSize: engine.popSize,
+    layout: engine.layout,
+    level: engine.level,
+    difficulty: engine.difficulty,
+    ga: engine.settings,
+    generation: engine.generation,
+    rngState: engine.rng.state,
+    population: engine.population.map(genome => genome.slice()),
+    bestGenome: engine.bestGenome,
+    bestFitness: engine.bestFitness,
+    champion: engine.champion,
+    optimizerState: engine.optimizerState,
+    history: engine.history.slice()
+  };
+}
+
+// Check a checkpoint (object or JSON string) and fill in its settings' defaults
+function parseCheckpoint(data) {
+  const checkpoint = typeof data === "string" ? JSON.parse(data) : data;
+  if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Not a version ${CHECKPOINT_VERSION} training checkpoint`);
+  }
+  if (!Number.isInteger(checkpoint.generation) || checkpoint.generation < 0 || !Number.isInteger(checkpoint.rngState)) {
+    throw new Error("A checkpoint needs a whole \"generation\" and \"rngState\"");
+  }
+  if (!Array.isArray(checkpoint.population) || checkpoint.population.length === 0 || !Array.isArray(checkpoint.history)) {
+    throw new Error("A checkpoint needs a \"population\" and a \"history\"");
+  }
+  const layout = makeBrainLayout(checkpoint.layout);
+  const champion = checkpoint.champion || legacyChampion(checkpoint);
+  const extraGenomes = [checkpoint.bestGenome, champion && champion.genome].filter(genome => genome);
+  for (const genome of checkpoint.population.concat(extraGenomes)) {
+    new Brain(layout, genome); // Throws if a genome doesn't fit the layout
+  }
+  return Object.assign({}, checkpoint, {
+    popSize: checkpoint.population.length,
+    layout: layout,
+    level: checkpoint.level ? parseLevel(checkpoint.level) : null,
+    difficulty: makeDifficulty(checkpoint.difficulty),
+    ga: makeGASettings(checkpoint.ga),
+    bestGenome: checkpoint.bestGenome || null,
+    bestFitness: checkpoint.bestFitness || 0,
+    champion: champion,
+    optimizerState: checkpoint.optimizerState || null
+  });
+}
+
+// Checkpoints saved before the champion was kept: the last generation's best stands in for it
+function legacyChampion(checkpoint) {
+  const last = checkpoint.history[checkpoint.history.length - 1];
+  if (!checkpoint.bestGenome || !last) {
+    return null;
+  }
+  return {
+    genome: checkpoint.bestGenome,
+    fitness: checkpoint.bestFitness,
+    generation: checkpoint.generation,
+    stage: last.stage,
+    courseSeed: last.courseSeed
+  };
+}
+
+// A GAEngine that carries on from a parsed checkpoint
+// Options: the GAEngine options a checkpoint doesn't hold (evaluate, onGeneration)
+function engineFromCheckpoint(checkpoint, options = {}) {
+  const engine = new GAEngine(Object.assign({}, options, {
+    seed: checkpoint.seed,
+    popSize: checkpoint.popSize,
+    brain: checkpoint.layout,
+    level: checkpoint.level,
+    difficulty: checkpoint.difficulty,
+    ga: checkpoint.ga,
+    seedGenomes: []
+  }));
+  engine.rng.state = checkpoint.rngState;
+  engine.generation = checkpoint.generation;
+  engine.population = checkpoint.population.map(genome => genome.slice());
+  engine.bestGenome = checkpoint.bestGenome ? checkpoint.bestGenome.slice() : null;
+  engine.bestFitness = checkpoint.bestFitness;
+  engine.champion = checkpoint.champion ? Object.assign({}, checkpoint.champion, { genome: checkpoint.champion.genome.slice() }) : null;
+  engine.optimizerState = checkpoint.optimizerState;
+  engine.history = checkpoint.history.slice();
+  return engine;
+}
+
+// The saved swarm checkpoint, or null if there is none (or it can't be read)
+function loadCheckpoint() {
+  try {
+    const saved = localStorage.getItem(CHECKPOINT_KEY);
+    return saved ? parseCheckpoint(saved) : null;
+  } catch (err) {
+    console.log(`❌ Ignoring saved checkpoint: ${err.message}`);
+    return null;
+  }
+}
+
+// Returns false if it couldn't be saved (e.g. too big for localStorage)
+function saveCheckpoint(checkpoint) {
+  try {
+    localStorage.setItem(CHECKPOINT_KEY, JSON.stringify(checkpoint));
+    return true;
+  } catch (err) {
+    console.log(`❌ Could not save the checkpoint: ${err.message}`);
+    return false;
+  }
+}
+
+// "Gen 40 | seed 42 | 50 x 2-1 tanh [distance, height] | best 30.02s"
+function describeCheckpoint(checkpoint) {
+  const best = formatFitness(checkpoint.bestFitness, parseFitness(checkpoint.ga.fitness));
+  return `Gen ${checkpoint.generation} | seed ${checkpoint.seed} | ${checkpoint.popSize} x ${describeBrainLayout(checkpoint.layout)} | best ${best}`;
+}
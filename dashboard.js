@@ -0,0 +1,202 @@
+// Training dashboard
+// Charts the per-generation stats of whichever engine trained last (the swarm or "T"):
+// best/average/worst fitness (and each island's best), gene spread, and the share of bots
+// reaching the time cap. The stats can be exported as CSV or JSON.
+
+const CHART_PADDING = 24;   // pixels left for axis labels
+const CSV_COLUMNS = ['generation', 'courseSeed', 'stage', 'best', 'avg', 'worst', 'cappedShare', 'spread'];
+const ISLAND_STATS = ['best', 'avg', 'worst', 'spread']; // CSV columns per island, e.g. island2_best
+// "r, g, b" per island, shared with the swarm canvas; island 1 is the swarm's usual blue
+const ISLAND_COLORS = ['0, 100, 255', '230, 126, 34', '39, 174, 96', '142, 68, 173', '192, 57, 43', '22, 160, 133', '241, 196, 15', '52, 73, 94'];
+
+// UI element references
+const dashboardUI = {
+  panel: null,
+  title: null,
+  fitness: null,
+  spread: null,
+  capped: null,
+  exportCsv: null,
+  exportJson: null
+};
+
+let dashboardEngine = null; // Engine whose history is shown
+
+function initDashboard() {
+  dashboardUI.panel = document.getElementById('dashboard');
+  dashboardUI.title = document.getElementById('dashboardTitle');
+  dashboardUI.fitness = document.getElementById('fitnessChart');
+  dashboardUI.spread = document.getElementById('spreadChart');
+  dashboardUI.capped = document.getElementById('cappedChart');
+  dashboardUI.exportCsv = document.getElementById('exportStatsCsv');
+  dashboardUI.exportJson = document.getElementById('exportStatsJson');
+
+  if (!dashboardUI.panel) {
+    return;
+  }
+
+  dashboardUI.exportCsv.addEventListener('click', exportStatsCsv);
+  dashboardUI.exportJson.addEventListener('click', exportStatsJson);
+  drawDashboard();
+}
+
+// Show an engine's history (call after every generation)
+function updateDashboard(engine) {
+  dashboardEngine = engine;
+  drawDashboard();
+}
+
+function drawDashboard() {
+  if (!dashboardUI.panel) {
+    return;
+  }
+  const history = dashboardEngine ? dashboardEngine.history : [];
+  const hasData = history.length > 0;
+  dashboardUI.exportCsv.disabled = !hasData;
+  dashboardUI.exportJson.disabled = !hasData;
+  const islandCount = hasData && history[0].islands ? history[0].islands.length : 0;
+  dashboardUI.title.textContent = hasData
+    ? `Gen ${history.length} | fitness ${dashboardEngine.fitness.spec}${islandCount > 0 ? ` | ${islandCount} islands` : ''}`
+    : 'No training yet';
+
+  // With islands, each island's best replaces the overall best/avg/worst
+  const fitnessValues = history.flatMap(s => [s.best, s.worst]);
+  const fitnessSeries = islandCount > 0
+    ? Array.from({length: islandCount}, (_, i) => ({
+      value: stats => stats.islands[i].best,
+      color: `rgb(${ISLAND_COLORS[i % ISLAND_COLORS.length]})`,
+      label: `#${i + 1}`
+    }))
+    : [
+      { key: 'best', color: '#27ae60', label: 'best' },
+      { key: 'avg', color: '#007acc', label: 'avg' },
+      { key: 'worst', color: '#c0392b', label: 'worst' }
+    ];
+  drawLineChart(dashboardUI.fitness, history, fitnessSeries, Math.min(0, ...fitnessValues), Math.max(1, ...fitnessValues));
+
+  drawSpreadChart(dashboardUI.spread, history);
+
+  drawLineChart(dashboardUI.capped, history, [
+    { key: 'cappedShare', color: '#8e44ad', label: `% at ${MAX_RUN_TIME}s cap` }
+  ], 0, 1);
+}
+
+// One line per series ({ key or value(stats), color, label }) across all generations,
+// with the y range labelled
+function drawLineChart(canvas, history, series, min, max) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  drawChartFrame(ctx, canvas, min, max);
+
+  const plotWidth = canvas.width - CHART_PADDING;
+  const plotHeight = canvas.height - 14;
+  const xAt = i => CHART_PADDING + (history.length > 1 ? i / (history.length - 1) : 0) * plotWidth;
+  const yAt = v => 2 + (1 - (v - min) / (max - min || 1)) * (plotHeight - 4);
+
+  const labelSpacing = Math.min(60, plotWidth / series.length);
+  series.forEach((line, n) => {
+    const value = line.value || (stats => stats[line.key]);
+    ctx.strokeStyle = line.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    history.forEach((stats, i) => {
+      if (i === 0) {
+        ctx.moveTo(xAt(i), yAt(value(stats)));
+      } else {
+        ctx.lineTo(xAt(i), yAt(value(stats)));
+      }
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = line.color;
+    ctx.fillText(line.label, CHART_PADDING + n * labelSpacing, canvas.height - 2);
+  });
+}
+
+// Mean spread over time as a line, the latest generation's per-gene spread as bars behind it
+function drawSpreadChart(canvas, history) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const max = Math.max(0.1, ...history.flatMap(s => s.geneSpread));
+  drawChartFrame(ctx, canvas, 0, max);
+
+  const latest = history.length > 0 ? history[history.length - 1].geneSpread : [];
+  const plotWidth = canvas.width - CHART_PADDING;
+  const plotHeight = canvas.height - 14;
+  const barWidth = latest.length > 0 ? plotWidth / latest.length : 0;
+  ctx.fillStyle = 'rgba(230, 126, 34, 0.35)';
+  latest.forEach((spread, i) => {
+    const h = spread / max * (plotHeight - 4);
+    ctx.fillRect(CHART_PADDING + i * barWidth, plotHeight - h, Math.max(1, barWidth - 1), h);
+  });
+
+  ctx.strokeStyle = '#d35400';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  history.forEach((stats, i) => {
+    const x = CHART_PADDING + (history.length > 1 ? i / (history.length - 1) : 0) * plotWidth;
+    const y = 2 + (1 - stats.spread / max) * (plotHeight - 4);
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.stroke();
+
+  ctx.fillStyle = '#d35400';
+  ctx.fillText('mean gene spread', CHART_PADDING, canvas.height - 2);
+  ctx.fillStyle = 'rgba(230, 126, 34, 0.8)';
+  ctx.fillText('per gene (latest)', CHART_PADDING + 100, canvas.height - 2);
+}
+
+// Axes and min/max labels
+function drawChartFrame(ctx, canvas, min, max) {
+  const plotHeight = canvas.height - 14;
+  ctx.strokeStyle = '#ccc';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(CHART_PADDING, 0, canvas.width - CHART_PADDING, plotHeight);
+  ctx.fillStyle = '#555';
+  ctx.font = '10px Arial';
+  ctx.fillText(formatAxisValue(max), 0, 10);
+  ctx.fillText(formatAxisValue(min), 0, plotHeight);
+}
+
+function formatAxisValue(value) {
+  return Math.abs(value) >= 10 ? value.toFixed(0) : value.toFixed(1);
+}
+
+function exportStatsCsv() {
+  const history = dashboardEngine.history;
+  const islandCount = history[0].islands ? history[0].islands.length : 0;
+  const islandColumns = Array.from({length: islandCount}, (_, i) => ISLAND_STATS.map(key => `island${i + 1}_${key}`));
+  const header = CSV_COLUMNS.concat(...islandColumns);
+  const rows = history.map(stats => CSV_COLUMNS.map(key => stats[key])
+    .concat(...(stats.islands || []).map(island => ISLAND_STATS.map(key => island[key])))
+    .join(','));
+  downloadFile('training-stats.csv', [header.join(',')].concat(rows).join('\n'), 'text/csv');
+}
+
+function exportStatsJson() {
+  const data = {
+    seed: dashboardEngine.seed,
+    popSize: dashboardEngine.popSize,
+    brain: dashboardEngine.layout,
+    ga: dashboardEngine.settings,
+    level: dashboardEngine.level ? dashboardEngine.level.name : null,
+    history: dashboardEngine.history
+  };
+  downloadFile('training-stats.json', JSON.stringify(data, null, 2));
+}
+
+// Initialize when page loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initDashboard);
+} else {
+  initDashboard();
+}
+
+window.trainingDashboard = {
+  update: updateDashboard,
+  getEngine: () => dashboardEngine
+};
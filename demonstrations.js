@@ -0,0 +1,148 @@
+// Demonstrations
+// Manual play recorded as samples of (sensor inputs, did the human jump), one per step in which
+// the player stood on the ground and could have jumped. A demonstration can train a brain
+// directly (fitDemonstrations) or seed part of the GA's first generation (demonstrationSeeds).
+//
+//   {
+//     "version": 1,
+//     "sensors": ["distance", "height", ...],   // every sensor, so any brain layout can learn from it
+//     "samples": [{ "inputs": [0.8, 0.95, ...], "jump": false }, ...]
+//   }
+
+const DEMO_VERSION = 1;
+const DEMO_SENSORS = Object.keys(SENSORS);
+const DEMO_CRASH_TRIM = 20;        // samples; the last ones before a crash are dropped (the human was already beaten)
+const DEMO_FIT_SAMPLES = 2000;     // The fit uses every jump and an even spread of the other samples up to this many
+const DEMO_FIT_ITERATIONS = 2000;
+const DEMO_SEED_NOISE = 0.3;       // Std dev of the noise on seeded copies of the fitted genome
+
+function emptyDemonstrations() {
+  return { version: DEMO_VERSION, sensors: DEMO_SENSORS.slice(), samples: [] };
+}
+
+// What the player saw this step and whether they jumped
+function demonstrationSample(game, jumped) {
+  return { inputs: game.senseInputs(DEMO_SENSORS), jump: jumped };
+}
+
+// Add a finished run's samples; runs that ended in a crash lose their last DEMO_CRASH_TRIM samples
+// Returns how many were added
+function addDemonstrationRun(demos, samples, crashed) {
+  const kept = crashed ? samples.slice(0, Math.max(0, samples.length - DEMO_CRASH_TRIM)) : samples;
+  demos.samples.push(...kept);
+  return kept.length;
+}
+
+// "1520 samples, 31 jumps"
+function describeDemonstrations(demos) {
+  const jumps = demos.samples.filter(s => s.jump).length;
+  return `${demos.samples.length} samples, ${jumps} jumps`;
+}
+
+// Check demonstrations (object or JSON string)
+function parseDemonstrations(data) {
+  const demos = typeof data === "string" ? JSON.parse(data) : data;
+  if (!demos || demos.version !== DEMO_VERSION) {
+    throw new Error(`Not a version ${DEMO_VERSION} demonstration file`);
+  }
+  if (!Array.isArray(demos.sensors) || !Array.isArray(demos.samples)) {
+    throw new Error("Demonstrations need \"sensors\" and \"samples\"");
+  }
+  for (const sample of demos.samples) {
+    if (!Array.isArray(sample.inputs) || sample.inputs.length !== demos.sensors.length || typeof sample.jump !== "boolean") {
+      throw new Error("Every sample needs one input per sensor and a true/false \"jump\"");
+    }
+  }
+  return demos;
+}
+
+// Training set for a layout: its sensors' columns, targets +1 (jump) / -1, and class weights
+// so that the rare jumps count as much as all the other samples together
+function demonstrationData(demos, layout) {
+  const columns = layout.sensors.map(name => {
+    const column = demos.sensors.indexOf(name);
+    if (column < 0) {
+      throw new Error(`The demonstrations have no "${name}" sensor`);
+    }
+    return column;
+  });
+
+  const jumps = demos.samples.filter(s => s.jump);
+  const stays = demos.samples.filter(s => !s.jump);
+  if (jumps.length === 0 || stays.length === 0) {
+    throw new Error("Demonstrations need both jumps and steps without one - play a few runs by hand");
+  }
+  const stride = Math.max(1, stays.length / Math.max(1, DEMO_FIT_SAMPLES - jumps.length));
+  const kept = jumps.slice();
+  for (let i = 0; i < stays.length; i += stride) {
+    kept.push(stays[Math.floor(i)]);
+  }
+
+  const jumpCount = jumps.length;
+  const stayCount = kept.length - jumpCount;
+  return kept.map(sample => ({
+    inputs: columns.map(c => sample.inputs[c]),
+    target: sample.jump ? 1 : -1,
+    weight: sample.jump ? 0.5 / jumpCount : 0.5 / stayCount
+  }));
+}
+
+// Class-weighted logistic loss of the brain's output (its sign is the jump decision)
+function demonstrationLoss(brain, data) {
+  let loss = 0;
+  for (const sample of data) {
+    const margin = sample.target * brain.forward(sample.inputs);
+    loss += sample.weight * (margin > 0 ? Math.log1p(Math.exp(-margin)) : -margin + Math.log1p(Math.exp(margin)));
+  }
+  return loss;
+}
+
+// Mean of the shares of jumps and of non-jumps the brain gets right
+function demonstrationAccuracy(brain, data) {
+  let correct = 0;
+  for (const sample of data) {
+    if (brain.shouldJump(sample.inputs) === (sample.target > 0)) {
+      correct += sample.weight;
+    }
+  }
+  return correct;
+}
+
+// Supervised fit of a genome for `layout` to the demonstrations: a (1+1) hill climb on the loss
+// with the 1/5 success rule for its step size. Deterministic for a seed.
+// Returns { genome, loss, accuracy }
+function fitDemonstrations(demos, layout, seed = 1) {
+  const data = demonstrationData(demos, layout);
+  const rng = new SeededRandom(seed);
+  let best = randGenome(rng, layout);
+  let bestLoss = demonstrationLoss(new Brain(layout, best), data);
+  let sigma = 0.5;
+
+  for (let i = 0; i < DEMO_FIT_ITERATIONS; i++) {
+    const candidate = best.map(gene => clampGene(gene + sigma * randn(rng)));
+    const loss = demonstrationLoss(new Brain(layout, candidate), data);
+    if (loss < bestLoss) {
+      best = candidate;
+      bestLoss = loss;
+      sigma = Math.min(1, sigma * 1.5);
+    } else {
+      sigma = Math.max(0.001, sigma * 0.9);
+    }
+  }
+
+  return { genome: best, loss: bestLoss, accuracy: demonstrationAccuracy(new Brain(layout, best), data) };
+}
+
+// `count` genomes for a first generation: the fitted genome and noisy copies of it
+function demonstrationSeeds(demos, layout, count, seed = 1) {
+  if (count <= 0) {
+    return [];
+  }
+  const fitted = fitDemonstrations(demos, layout, seed).genome;
+  const rng = new SeededRandom(seed + 1);
+  const seeds = [fitted];
+  while (seeds.length < count) {
+    seeds.push(fitted.map(gene => clampGene(gene + DEMO_SEED_NOISE * randn(rng))));
+  }
+  return seeds;
+}
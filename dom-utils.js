@@ -0,0 +1,25 @@
+// Page helpers
+// Small DOM helpers shared by the game and its panels.
+
+const TEXT_INPUT_TYPES = ['text', 'number', 'search'];
+
+// Keys typed into a text field are the field's, not shortcuts (checkboxes, sliders and
+// selects don't take letters, so the keys still work after clicking one)
+function isTypingInField(event) {
+  const target = event.target;
+  if (!target) {
+    return false;
+  }
+  return target.isContentEditable || target.tagName === 'TEXTAREA' ||
+    (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type));
+}
+
+// Save text as a file through the browser (the panels' exports)
+function downloadFile(fileName, text, type = 'application/json') {
+  const blob = new Blob([text], { type: type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
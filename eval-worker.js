@@ -0,0 +1,23 @@
+// Evaluation worker
+// Plays headless games for one slice of a population off the main thread (see worker-pool.js).
+// Uses the same simulation scripts as the page, so scores match evaluateHeadless exactly.
+
+importScripts("sensors.js", "brain.js", "fitness.js", "simulation.js", "levels.js");
+
+// Job: { id, genomes, courseSeed, brain, level, difficulty, fitness (spec string) }
+// Reply: { id, results: [{ fitness, time, objectives }] } in genome order
+onmessage = event => {
+  const job = event.data;
+  const fitness = parseFitness(job.fitness);
+  const results = job.genomes.map(genome => {
+    const game = new Game(genome, job.courseSeed, {
+      brain: job.brain,
+      level: job.level,
+      difficulty: job.difficulty,
+      fitness: fitness
+    });
+    game.run();
+    return game.score();
+  });
+  postMessage({ id: job.id, results: results });
+};
@@ -0,0 +1,153 @@
+// Fitness functions
+// Each function scores a finished Game from the stats it keeps (higher is better).
+// A fitness spec names one function or a weighted mix of them:
+//   "survival"  or  "survival:1,cleared:0.5,wastedJumps:-0.2"
+// Negative weights turn a function into a penalty.
+//
+// With Pareto ranking on, the GA breeds from non-dominated fronts (NSGA-II style)
+// with each listed function as its own objective, and the weighted sum only picks the champion.
+
+const FITNESS_FUNCTIONS = {
+  survival: {
+    label: "Survival time (s)",
+    score: game => game.totalTime
+  },
+  cleared: {
+    label: "Obstacles cleared",
+    score: game => game.obstaclesCleared
+  },
+  distance: {
+    label: "Distance (100 px)",
+    score: game => game.distance / 100
+  },
+  wastedJumps: {
+    label: "Wasted jumps",
+    score: game => Math.max(0, game.jumps - game.obstaclesCleared)
+  }
+};
+
+// Ready-made specs offered in the swarm panel
+const FITNESS_PRESETS = {
+  survival: { label: "Survival time", spec: "survival" },
+  cleared: { label: "Obstacles cleared", spec: "cleared" },
+  distance: { label: "Distance", spec: "distance" },
+  clean: { label: "Clean runs (jump penalty)", spec: "survival:1,cleared:1,wastedJumps:-0.5" }
+};
+
+const DEFAULT_FITNESS = "survival";
+
+// Turn a spec string into { spec, terms: [{ name, weight }] }
+function parseFitness(spec = DEFAULT_FITNESS) {
+  if (typeof spec !== "string") {
+    throw new Error(`Fitness must be a spec like "survival:1,cleared:0.5", got ${spec}`);
+  }
+  const terms = spec.split(",").map(s => s.trim()).filter(s => s.length > 0).map(part => {
+    const [name, weightText] = part.split(":").map(s => s.trim());
+    if (!FITNESS_FUNCTIONS[name]) {
+      throw new Error(`Unknown fitness "${name}" (use ${Object.keys(FITNESS_FUNCTIONS).join(", ")})`);
+    }
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (Number.isNaN(weight) || weight === 0) {
+      throw new Error(`Fitness weight for "${name}" must be a non-zero number, got "${weightText}"`);
+    }
+    return { name, weight };
+  });
+  if (terms.length === 0) {
+    throw new Error("Fitness needs at least one function");
+  }
+  return { spec: spec, terms: terms };
+}
+
+// Score a game: the weighted fitness, its survival time and one objective per term
+// (objectives are sign-flipped for penalties so every objective is maximized)
+function scoreGame(game, fitness) {
+  let total = 0;
+  const objectives = fitness.terms.map(term => {
+    const value = FITNESS_FUNCTIONS[term.name].score(game);
+    total += term.weight * value;
+    return Math.sign(term.weight) * value;
+  });
+  return { fitness: total, time: game.totalTime, objectives: objectives };
+}
+
+// Fitness values read as seconds only when fitness is plain survival time
+function formatFitness(value, fitness) {
+  const inSeconds = fitness.terms.length === 1 && fitness.terms[0].name === "survival";
+  return value.toFixed(2) + (inSeconds ? "s" : "");
+}
+
+// a is at least as good as b everywhere and better somewhere
+function dominates(a, b) {
+  let better = false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return false;
+    if (a[i] > b[i]) better = true;
+  }
+  return better;
+}
+
+// Split scored entries into non-dominated fronts, best front first
+function nonDominatedFronts(scored) {
+  const dominatedBy = scored.map(() => []);
+  const dominationCount = scored.map(() => 0);
+  let front = [];
+  for (let i = 0; i < scored.length; i++) {
+    for (let j = 0; j < scored.length; j++) {
+      if (i !== j && dominates(scored[i].objectives, scored[j].objectives)) {
+        dominatedBy[i].push(j);
+      } else if (i !== j && dominates(scored[j].objectives, scored[i].objectives)) {
+        dominationCount[i]++;
+      }
+    }
+    if (dominationCount[i] === 0) {
+      front.push(i);
+    }
+  }
+
+  const fronts = [];
+  while (front.length > 0) {
+    fronts.push(front);
+    const next = [];
+    for (const i of front) {
+      for (const j of dominatedBy[i]) {
+        if (--dominationCount[j] === 0) {
+          next.push(j);
+        }
+      }
+    }
+    front = next;
+  }
+  return fronts;
+}
+
+// Crowding distance of each index in a front (boundary points are infinitely far)
+function crowdingDistances(scored, front) {
+  const distance = new Map(front.map(i => [i, 0]));
+  const objectiveCount = scored[front[0]].objectives.length;
+  for (let m = 0; m < objectiveCount; m++) {
+    const sorted = front.slice().sort((a, b) => scored[a].objectives[m] - scored[b].objectives[m]);
+    const lo = scored[sorted[0]].objectives[m];
+    const hi = scored[sorted[sorted.length - 1]].objectives[m];
+    distance.set(sorted[0], Infinity);
+    distance.set(sorted[sorted.length - 1], Infinity);
+    if (hi === lo) continue;
+    for (let k = 1; k < sorted.length - 1; k++) {
+      const gap = scored[sorted[k + 1]].objectives[m] - scored[sorted[k - 1]].objectives[m];
+      distance.set(sorted[k], distance.get(sorted[k]) + gap / (hi - lo));
+    }
+  }
+  return distance;
+}
+
+// NSGA-II order: by front, then by crowding distance within a front.
+// Returns [{ genome, fitness }] best-first, with fitness replaced by a linear rank
+// so every selection scheme can breed from it.
+function paretoOrder(scored) {
+  const ordered = [];
+  for (const front of nonDominatedFronts(scored)) {
+    const distance = crowdingDistances(scored, front);
+    front.sort((a, b) => distance.get(b) - distance.get(a));
+    ordered.push(...front);
+  }
+  return ordered.map((i, rank) => ({ genome: scored[i].genome, fitness: ordered.length - rank }));
+}
@@ -0,0 +1,298 @@
+// Genetic algorithm engine
+// One engine drives both the background trainer (runGA / the CLI) and the visual swarm.
+// Callers supply how a population is evaluated; the engine owns the population,
+// the seeded rng, breeding and per-generation stats.
+
+// GA Parameters
+const POP_SIZE = 50;
+const GENERATIONS = 100;
+
+// Genetic Algorithm Functions
+function randGenome(rng, layout = DEFAULT_BRAIN_LAYOUT) {
+  // Generate random weights and biases in range [-1, 1], one per gene of the layout
+  return Array.from({length: brainGenomeLength(layout)}, () => rng.random() * 2 - 1);
+}
+
+function randn(rng) {
+  // Box-Muller transformation for normal distribution
+  let u = 0, v = 0;
+  while(u === 0) u = rng.random();
+  while(v === 0) v = rng.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Standard deviation of each gene across a set of genomes
+function geneSpread(genomes) {
+  return genomes[0].map((_, i) => {
+    const mean = genomes.reduce((sum, g) => sum + g[i], 0) / genomes.length;
+    const variance = genomes.reduce((sum, g) => sum + (g[i] - mean) * (g[i] - mean), 0) / genomes.length;
+    return Math.sqrt(variance);
+  });
+}
+
+// Island i's slice of a population of popSize: { start, size, settings }
+// Islands without a "size" share what the sized ones leave
+function islandLayout(popSize, settings) {
+  const sizes = Array.from({length: settings.islands}, (_, i) => (settings.islandSettings[i] || {}).size);
+  const unsized = sizes.filter(size => size === undefined).length;
+  const left = popSize - sizes.reduce((sum, size) => sum + (size || 0), 0);
+  let unsizedSeen = 0;
+  const islands = [];
+  let start = 0;
+  sizes.forEach((size, i) => {
+    if (size === undefined) {
+      // Spread the rest evenly, the first islands taking any remainder
+      size = Math.floor(left / unsized) + (unsizedSeen < left % unsized ? 1 : 0);
+      unsizedSeen++;
+    }
+    if (!Number.isInteger(size) || size < 2) {
+      throw new Error(`Island ${i + 1} would have ${size} genomes; islands need at least 2 (population ${popSize})`);
+    }
+    islands.push({ start: start, size: size, settings: settings.islands > 1 ? islandGASettings(settings, i) : settings });
+    start += size;
+  });
+  if (start !== popSize) {
+    throw new Error(`Island sizes add up to ${start} but the population is ${popSize}`);
+  }
+  return islands;
+}
+
+// Default evaluator: run each genome headless on the generation's course
+function evaluateHeadless(population, courseSeed, engine) {
+  return population.map(genome => {
+    const game = new Game(genome, courseSeed, {
+      brain: engine.layout,
+      level: engine.level,
+      difficulty: engine.difficulty,
+      fitness: engine.fitness
+    });
+    game.run();
+    return Object.assign({ genome }, game.score());
+  });
+}
+
+// Options:
+//   seed, popSize, brain (layout), ga (settings, see ga-operators.js), level (train on a level)
+//   difficulty (random-course difficulty, see makeDifficulty); curriculum mode raises its stage
+//   ga.optimizer other than "ga" replaces breeding with one of the OPTIMIZERS (optimizers.js)
+//   ga.islands > 1 splits the population into islands (islandLayout) that breed apart, each with its
+//     own settings; every ga.migrationInterval generations each island's best ga.migrants genomes
+//     replace the last offspring of the next island, in a ring
+//   seedGenomes (genomes that replace the first random ones of generation 1, e.g. from demonstrations)
+//   evaluate(population, courseSeed, engine) -> [{ genome, fitness, time, objectives }] or a promise of it
+//     (Game.score() gives everything but the genome)
+//   onGeneration(stats, engine), called after each generation is scored and bred and the curriculum
+//     has moved on: the engine is then between generations and can be checkpointed (checkpoints.js)
+class GAEngine {
+  constructor(options = {}) {
+    this.seed = options.seed !== undefined ? options.seed : randomSeed();
+    this.popSize = options.popSize || POP_SIZE;
+    this.layout = options.brain || DEFAULT_BRAIN_LAYOUT;
+    this.level = options.level || null;
+    this.difficulty = makeDifficulty(options.difficulty);
+    this.settings = makeGASettings(options.ga);
+    this.fitness = parseFitness(this.settings.fitness);
+    this.evaluate = options.evaluate || evaluateHeadless;
+    this.onGeneration = options.onGeneration || null;
+
+    this.rng = new SeededRandom(this.seed);
+    // Fixed training courses when every generation is scored on several (see robustness.js)
+    this.trainingCourses = this.settings.courses > 1 ? trainingCourseSeeds(this.seed, this.settings.courses) : null;
+    this.islands = islandLayout(this.popSize, this.settings);
+    this.optimizerState = null; // Kept between generations by the alternative optimizers
+    this.generation = 0;
+    this.history = [];
+    this.bestGenome = null;
+    this.bestFitness = 0;
+    // Best genome of any generation so far at the current stage (see updateChampion)
+    this.champion = null;
+
+    // Initialize population
+    this.population = Array.from({length: this.popSize}, () => randGenome(this.rng, this.layout));
+    const seedGenomes = (options.seedGenomes || []).slice(0, this.popSize);
+    seedGenomes.forEach((genome, i) => {
+      if (genome.length !== brainGenomeLength(this.layout)) {
+        throw new Error(`Seed genome has ${genome.length} genes but brain ${describeBrainLayout(this.layout)} needs ${brainGenomeLength(this.layout)}`);
+      }
+      this.population[i] = [...genome];
+    });
+  }
+
+  // Evaluate the current population on one shared course (or the training set), then breed the next one
+  async step() {
+    // Every genome in a generation runs the same course, or all of the training courses and
+    // scores their mean
+    const courseSeed = this.trainingCourses ? null : this.rng.nextSeed();
+    const perCourse = [];
+    for (const seed of this.trainingCourses || [courseSeed]) {
+      perCourse.push(await this.evaluate(this.population, seed, this));
+    }
+    const scored = perCourse.length === 1 ? perCourse[0] : meanScores(perCourse);
+
+    // Each island ranked on its own, then the whole population; by fitness (descending)
+    const ranked = this.islands.map(island =>
+      scored.slice(island.start, island.start + island.size).sort((a, b) => b.fitness - a.fitness));
+    scored.sort((a, b) => b.fitness - a.fitness);
+    this.generation++;
+    this.bestGenome = [...scored[0].genome];
+    this.bestFitness = scored[0].fitness;
+    this.updateChampion(scored[0], courseSeed);
+
+    // Diversity of the generation that was just scored
+    const spreads = geneSpread(scored.map(s => s.genome));
+
+    // Pareto mode breeds in NSGA-II order; the champion is still the best weighted fitness
+    const breeders = ranked.map(islandScored => this.settings.pareto ? paretoOrder(islandScored) : islandScored);
+    let migrated = false;
+    if (this.settings.optimizer === "ga") {
+      const nextIslands = breeders.map((islandScored, i) => this.breed(islandScored, this.islands[i]));
+      migrated = this.migrate(breeders, nextIslands);
+      this.population = [].concat(...nextIslands);
+    } else {
+      this.population = OPTIMIZERS[this.settings.optimizer].next(scored, this);
+    }
+
+    const stats = {
+      generation: this.generation,
+      courseSeed: courseSeed,  // null when scored on the training set
+      stage: this.difficulty.stage,
+      best: scored[0].fitness,
+      avg: scored.reduce((sum, s) => sum + s.fitness, 0) / scored.length,
+      worst: scored[scored.length - 1].fitness,
+      cappedShare: scored.filter(s => s.time >= MAX_RUN_TIME).length / scored.length,
+      spread: spreads.reduce((sum, s) => sum + s, 0) / spreads.length,  // Mean per-gene standard deviation
+      geneSpread: spreads
+    };
+    if (this.islands.length > 1) {
+      stats.islands = ranked.map(islandScored => {
+        const islandSpreads = geneSpread(islandScored.map(s => s.genome));
+        return {
+          best: islandScored[0].fitness,
+          avg: islandScored.reduce((sum, s) => sum + s.fitness, 0) / islandScored.length,
+          worst: islandScored[islandScored.length - 1].fitness,
+          spread: islandSpreads.reduce((sum, s) => sum + s, 0) / islandSpreads.length
+        };
+      });
+      stats.migrated = migrated;
+    }
+    this.history.push(stats);
+
+    this.advanceCurriculum(stats);
+    if (this.onGeneration) {
+      this.onGeneration(stats, this);
+    }
+    return stats;
+  }
+
+  // Keep the best genome seen so far, ties going to the later generation. A curriculum stage change
+  // starts over, since scores at an easier stage don't compare with the harder one's
+  updateChampion(best, courseSeed) {
+    const stage = this.difficulty.stage;
+    if (this.champion && this.champion.stage === stage && best.fitness < this.champion.fitness) {
+      return;
+    }
+    this.champion = {
+      genome: [...best.genome],
+      fitness: best.fitness,
+      generation: this.generation,
+      stage: stage,
+      courseSeed: courseSeed  // null when scored on the training set
+    };
+  }
+
+  // Curriculum mode: move to the next difficulty stage once enough genomes survive to the cap
+  advanceCurriculum(stats) {
+    if (!this.settings.curriculum || this.level || stats.cappedShare < this.settings.curriculumThreshold) {
+      return;
+    }
+    this.difficulty = Object.assign({}, this.difficulty, { stage: this.difficulty.stage + 1 });
+    console.log(`📈 Curriculum: ${Math.round(stats.cappedShare * 100)}% reached the cap, moving to stage ${this.difficulty.stage}`);
+  }
+
+  // Create an island's next generation from its genomes sorted best-first
+  breed(scored, island) {
+    const settings = island.settings;
+    const strategy = MUTATION_STRATEGIES[settings.mutation];
+    const elites = scored.slice(0, eliteCountFor(island.size, settings));
+    const mutationContext = strategy.prepare(elites, brainGenomeLength(this.layout));
+    const nextGeneration = [];
+
+    // Elitism: carry over best performers unchanged
+    for (const elite of elites) {
+      nextGeneration.push([...elite.genome]);
+    }
+
+    // Fill rest with mutated offspring of selected (and possibly crossed) parents
+    while (nextGeneration.length < island.size) {
+      const offspring = makeOffspring(scored, this.rng, settings);
+      const child = strategy.mutate(offspring, this.rng, settings, mutationContext).map(clampGene);
+      nextGeneration.push(child);
+    }
+
+    return nextGeneration;
+  }
+
+  // On migration generations each island's best genomes (in breeding order) replace the last
+  // offspring of the next island, never its elites
+  // Returns whether genomes migrated
+  migrate(breeders, nextIslands) {
+    if (this.islands.length === 1 || this.settings.migrants === 0 || this.generation % this.settings.migrationInterval !== 0) {
+      return false;
+    }
+    breeders.forEach((from, i) => {
+      const target = (i + 1) % nextIslands.length;
+      const to = nextIslands[target];
+      const offspring = to.length - eliteCountFor(this.islands[target].size, this.islands[target].settings);
+      for (let m = 0; m < Math.min(this.settings.migrants, from.length, offspring); m++) {
+        to[to.length - 1 - m] = [...from[m].genome];
+      }
+    });
+    return true;
+  }
+
+  // Index of the island a genome of the population belongs to
+  islandOf(index) {
+    return this.islands.findIndex(island => index < island.start + island.size);
+  }
+
+  // Run several generations back to back, yielding now and then so a page stays usable
+  async run(generations) {
+    for (let gen = 0; gen < generations; gen++) {
+      await this.step();
+      if (gen % 10 === 0) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+    }
+    return this.bestGenome;
+  }
+}
+
+// Background trainer: headless engine run with console progress
+// Options: everything GAEngine takes, plus generations (the total, counting any a checkpoint already ran)
+// and checkpoint (a parsed checkpoint to carry on from instead of starting afresh)
+async function runGA(options = {}) {
+  const generations = options.generations || GENERATIONS;
+  const engineOptions = Object.assign({}, options, {
+    onGeneration: (stats, engine) => {
+      // Log progress
+      const islands = stats.islands ? ` - Islands: ${stats.islands.map(island => formatFitness(island.best, engine.fitness)).join(" / ")}${stats.migrated ? " (migrated)" : ""}` : "";
+      console.log(`Gen ${stats.generation}/${generations} - Best: ${formatFitness(stats.best, engine.fitness)} - Avg: ${formatFitness(stats.avg, engine.fitness)}${islands}`);
+      if (options.onGeneration) {
+        options.onGeneration(stats, engine);
+      }
+    }
+  });
+  const engine = options.checkpoint ? engineFromCheckpoint(options.checkpoint, engineOptions) : new GAEngine(engineOptions);
+
+  if (options.checkpoint) {
+    console.log(`⏯️ Resuming Genetic Algorithm training after generation ${engine.generation} (seed ${engine.seed}, brain ${describeBrainLayout(engine.layout)}, fitness ${engine.fitness.spec})...`);
+  } else {
+    console.log(`🧬 Starting Genetic Algorithm training (seed ${engine.seed}, brain ${describeBrainLayout(engine.layout)}, ${describeOptimizer(engine.settings)}, fitness ${engine.fitness.spec}${engine.settings.pareto ? " (Pareto)" : ""})...`);
+  }
+  const finalBest = await engine.run(generations - engine.generation);
+
+  console.log("🏆 Training complete! Best genome:", finalBest);
+  console.log("📊 Fitness history:", engine.history.map(s => s.best));
+
+  return finalBest;
+}
@@ -0,0 +1,257 @@
+// GA selection schemes, crossover operators and mutation strategies
+// Selection picks a parent genome from a scored population sorted best-first ([{ genome, fitness }]).
+// Crossover combines two parent genomes into one child genome.
+// Mutation perturbs a child genome; prepare() runs once per generation on the elites.
+// All randomness comes from the seeded rng passed in, so runs stay reproducible.
+
+const GENE_LIMIT = 2; // Genes are clamped to [-GENE_LIMIT, GENE_LIMIT]
+
+// Default GA settings (the swarm panel and CLI override these)
+const DEFAULT_GA_SETTINGS = {
+  optimizer: "ga",      // Or an alternative from OPTIMIZERS (optimizers.js)
+  selection: "truncation",
+  crossover: "uniform",
+  mutation: "adaptive",
+  mutationRate: 0.1,    // Meaning depends on the mutation strategy
+  crossoverRate: 0.7,   // Chance that a child has two parents instead of one
+  eliteFraction: 0.1,   // Top share carried over unchanged (and the truncation parent pool)
+  tournamentSize: 3,
+  blendAlpha: 0.5,      // BLX-α: how far outside the parents' range a gene may land
+  curriculum: false,    // Raise the difficulty stage as the population masters it
+  curriculumThreshold: 0.5,  // Share of the population that must reach the time cap to advance
+  fitness: "survival",  // Fitness spec, see fitness.js
+  courses: 1,           // 1: a fresh course each generation; more: mean over a fixed training set (robustness.js)
+  islands: 1,           // Sub-populations bred apart (island model, see GAEngine)
+  migrationInterval: 5, // Generations between migrations from each island to the next
+  migrants: 2,          // Best genomes each island sends per migration
+  islandSettings: [],   // Per-island overrides of ISLAND_SETTING_KEYS, e.g. [{ size: 20, mutationRate: 0.3 }]
+  pareto: false         // Breed from Pareto fronts of the fitness terms instead of their weighted sum
+};
+
+const SELECTION_SCHEMES = {
+  // Uniform pick from the top eliteFraction of the population
+  truncation: {
+    label: "Truncation",
+    select: (scored, rng, settings) => {
+      const poolSize = Math.max(1, Math.floor(scored.length * settings.eliteFraction));
+      return scored[Math.floor(rng.random() * poolSize)].genome;
+    }
+  },
+
+  // Best of tournamentSize random picks
+  tournament: {
+    label: "Tournament",
+    select: (scored, rng, settings) => {
+      let best = null;
+      for (let i = 0; i < settings.tournamentSize; i++) {
+        const contender = scored[Math.floor(rng.random() * scored.length)];
+        if (!best || contender.fitness > best.fitness) {
+          best = contender;
+        }
+      }
+      return best.genome;
+    }
+  },
+
+  // Fitness-proportionate (roulette wheel)
+  roulette: {
+    label: "Roulette",
+    select: (scored, rng) => {
+      const total = scored.reduce((sum, s) => sum + Math.max(0, s.fitness), 0);
+      if (total <= 0) {
+        return scored[Math.floor(rng.random() * scored.length)].genome;
+      }
+      let spin = rng.random() * total;
+      for (const s of scored) {
+        spin -= Math.max(0, s.fitness);
+        if (spin <= 0) {
+          return s.genome;
+        }
+      }
+      return scored[scored.length - 1].genome;
+    }
+  },
+
+  // Linear ranking: the best gets weight n, the worst weight 1
+  rank: {
+    label: "Rank",
+    select: (scored, rng) => {
+      const n = scored.length;
+      let spin = rng.random() * (n * (n + 1) / 2);
+      for (let i = 0; i < n; i++) {
+        spin -= n - i;
+        if (spin <= 0) {
+          return scored[i].genome;
+        }
+      }
+      return scored[n - 1].genome;
+    }
+  }
+};
+
+const CROSSOVER_OPERATORS = {
+  // Each gene from either parent with equal chance
+  uniform: {
+    label: "Uniform",
+    cross: (a, b, rng) => a.map((gene, i) => rng.random() < 0.5 ? gene : b[i])
+  },
+
+  // Genes before a random cut point from the first parent, the rest from the second
+  onePoint: {
+    label: "One-point",
+    cross: (a, b, rng) => {
+      const cut = 1 + Math.floor(rng.random() * (a.length - 1));
+      return a.map((gene, i) => i < cut ? gene : b[i]);
+    }
+  },
+
+  // BLX-α blend: each gene uniform in the parents' range widened by α on both sides
+  blend: {
+    label: "BLX-α blend",
+    cross: (a, b, rng, settings) => a.map((gene, i) => {
+      const lo = Math.min(gene, b[i]);
+      const hi = Math.max(gene, b[i]);
+      const spread = (hi - lo) * settings.blendAlpha;
+      return lo - spread + rng.random() * (hi - lo + 2 * spread);
+    })
+  }
+};
+
+const MUTATION_STRATEGIES = {
+  // Every gene gets Gaussian noise scaled by the elites' spread of that gene times mutationRate
+  adaptive: {
+    label: "Adaptive (elite spread)",
+    prepare: (elites, genomeLength) => {
+      const sigmas = [];
+      for (let i = 0; i < genomeLength; i++) {
+        const vals = elites.map(e => e.genome[i]);
+        sigmas.push(Math.max(0.1, Math.max(...vals) - Math.min(...vals)));
+      }
+      return sigmas;
+    },
+    mutate: (genome, rng, settings, sigmas) =>
+      genome.map((gene, i) => gene + randn(rng) * sigmas[i] * settings.mutationRate)
+  },
+
+  // Each gene mutates with probability mutationRate by fixed 0.2 Gaussian noise
+  gaussian: {
+    label: "Per-gene Gaussian",
+    prepare: () => null,
+    mutate: (genome, rng, settings) =>
+      genome.map(gene => rng.random() < settings.mutationRate ? gene + randn(rng) * 0.2 : gene)
+  }
+};
+
+function clampGene(gene) {
+  return Math.max(-GENE_LIMIT, Math.min(GENE_LIMIT, gene));
+}
+
+// Settings an island may override ("size" is its share of the population in genomes)
+const ISLAND_SETTING_KEYS = ["size", "selection", "crossover", "mutation", "mutationRate", "crossoverRate", "eliteFraction", "tournamentSize", "blendAlpha"];
+
+// Per-island overrides from text, one island per ";": "size=20,mutationRate=0.3; mutation=gaussian"
+function parseIslandSettings(text) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+  return text.split(";").map(island => {
+    const overrides = {};
+    for (const pair of island.split(",").filter(p => p.trim())) {
+      const [key, value] = pair.split("=").map(part => part && part.trim());
+      if (value === undefined || value === "") {
+        throw new Error(`Island setting "${pair.trim()}" needs a value, e.g. mutationRate=0.3`);
+      }
+      overrides[key] = Number.isNaN(Number(value)) ? value : Number(value);
+    }
+    return overrides;
+  });
+}
+
+// Fill in defaults and check the scheme names
+function makeGASettings(settings = {}) {
+  const merged = Object.assign({}, DEFAULT_GA_SETTINGS);
+  for (const key of Object.keys(settings)) {
+    if (settings[key] !== undefined) {
+      merged[key] = settings[key];
+    }
+  }
+
+  if (!OPTIMIZERS[merged.optimizer]) {
+    throw new Error(`Unknown optimizer "${merged.optimizer}" (use ${Object.keys(OPTIMIZERS).join(", ")})`);
+  }
+  if (merged.optimizer !== "ga" && (merged.islands > 1 || merged.pareto)) {
+    throw new Error(`Islands and Pareto ranking need the genetic algorithm, not ${OPTIMIZERS[merged.optimizer].label}`);
+  }
+  if (!SELECTION_SCHEMES[merged.selection]) {
+    throw new Error(`Unknown selection "${merged.selection}" (use ${Object.keys(SELECTION_SCHEMES).join(", ")})`);
+  }
+  if (!MUTATION_STRATEGIES[merged.mutation]) {
+    throw new Error(`Unknown mutation "${merged.mutation}" (use ${Object.keys(MUTATION_STRATEGIES).join(", ")})`);
+  }
+  if (!CROSSOVER_OPERATORS[merged.crossover]) {
+    throw new Error(`Unknown crossover "${merged.crossover}" (use ${Object.keys(CROSSOVER_OPERATORS).join(", ")})`);
+  }
+  if (!(merged.eliteFraction > 0 && merged.eliteFraction <= 1)) {
+    throw new Error(`Elite fraction must be in (0, 1], got ${merged.eliteFraction}`);
+  }
+  if (!(merged.crossoverRate >= 0 && merged.crossoverRate <= 1)) {
+    throw new Error(`Crossover rate must be in [0, 1], got ${merged.crossoverRate}`);
+  }
+  if (!(merged.mutationRate >= 0 && Number.isFinite(merged.mutationRate))) {
+    throw new Error(`Mutation rate must be a number >= 0, got ${merged.mutationRate}`);
+  }
+  if (!Number.isInteger(merged.tournamentSize) || merged.tournamentSize < 1) {
+    throw new Error(`Tournament size must be a whole number >= 1, got ${merged.tournamentSize}`);
+  }
+  if (!(merged.blendAlpha >= 0 && Number.isFinite(merged.blendAlpha))) {
+    throw new Error(`Blend alpha must be a number >= 0, got ${merged.blendAlpha}`);
+  }
+  parseFitness(merged.fitness);
+  if (!(merged.curriculumThreshold > 0 && merged.curriculumThreshold <= 1)) {
+    throw new Error(`Curriculum threshold must be in (0, 1], got ${merged.curriculumThreshold}`);
+  }
+  if (!Number.isInteger(merged.courses) || merged.courses < 1) {
+    throw new Error(`Courses must be a whole number >= 1, got ${merged.courses}`);
+  }
+  if (!Number.isInteger(merged.islands) || merged.islands < 1) {
+    throw new Error(`Islands must be a whole number >= 1, got ${merged.islands}`);
+  }
+  if (!Number.isInteger(merged.migrationInterval) || merged.migrationInterval < 1 || !Number.isInteger(merged.migrants) || merged.migrants < 0) {
+    throw new Error("Migration needs a whole interval >= 1 and a whole number of migrants >= 0");
+  }
+  if (!Array.isArray(merged.islandSettings) || merged.islandSettings.length > merged.islands) {
+    throw new Error(`Island settings are given for ${merged.islandSettings.length} islands but there are ${merged.islands}`);
+  }
+  merged.islandSettings.forEach((overrides, i) => {
+    const unknown = Object.keys(overrides).filter(key => !ISLAND_SETTING_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Island ${i + 1}: "${unknown[0]}" can't be set per island (use ${ISLAND_SETTING_KEYS.join(", ")})`);
+    }
+    islandGASettings(merged, i);
+  });
+  return merged;
+}
+
+// Settings island i breeds with: the run's, with that island's overrides
+function islandGASettings(settings, i) {
+  const overrides = Object.assign({}, settings.islandSettings[i]);
+  delete overrides.size;
+  return makeGASettings(Object.assign({}, settings, overrides, { islandSettings: [] }));
+}
+
+// Number of top genomes carried over unchanged
+function eliteCountFor(popSize, settings) {
+  return Math.max(1, Math.floor(popSize * settings.eliteFraction));
+}
+
+// Pick parent(s) and produce an (unmutated) child genome
+function makeOffspring(scored, rng, settings) {
+  const select = SELECTION_SCHEMES[settings.selection].select;
+  const parentA = select(scored, rng, settings);
+
+  if (scored.length > 1 && parentA.length > 1 && rng.random() < settings.crossoverRate) {
+    const parentB = select(scored, rng, settings);
+    return CROSSOVER_OPERATORS[settings.crossover].cross(parentA, parentB, rng, settings);
+  }
+  return [...parentA];
+}
@@ -7,6 +7,40 @@ const ui = {
   mutRate: null,
   maxGen: null,
   speed: null,
+  seed: null,
+  course: null,
+  levelFile: null,
+  speedRamp: null,
+  gapRamp: null,
+  startStage: null,
+  curriculum: null,
+  curriculumThreshold: null,
+  hidden: null,
+  activation: null,
+  sensorList: null,
+  optimizer: null,
+  selection: null,
+  crossover: null,
+  mutation: null,
+  crossRate: null,
+  eliteFrac: null,
+  islands: null,
+  migrationInterval: null,
+  migrants: null,
+  islandSettings: null,
+  fitnessPreset: null,
+  fitnessSpec: null,
+  pareto: null,
+  trainCourses: null,
+  testCourses: null,
+  robustness: null,
+  workerCount: null,
+  turbo: null,
+  turboEvery: null,
+  checkpointEvery: null,
+  checkpointInfo: null,
+  checkpointFile: null,
+  resume: null,
   blend: null,
   start: null,
   pause: null,
@@ -14,16 +48,28 @@ const ui = {
   status: null,
   popDisplay: null,
   mutDisplay: null,
-  speedDisplay: null
+  crossDisplay: null,
+  eliteDisplay: null,
+  speedDisplay: null,
+  speedRampDisplay: null,
+  gapRampDisplay: null,
+  curriculumDisplay: null
 };
 
-// Swarm training state
-let swarmPopulation = [];
-let swarmGeneration = 0;
-let swarmBestFitness = 0;
+// Swarm training state (population, generation, rng and settings live in the engine)
+let swarmEngine = null;
 let swarmAnimating = false;
 let swarmSpeedFactor = 1;
 let swarmPaused = false;
+let lastSwarmBots = null; // Games of the last fully played generation, for replays
+let swarmCheckpoint = loadCheckpoint(); // Latest generation boundary of the swarm run (or the saved one)
+let swarmCheckpointSaved = swarmCheckpoint !== null; // Whether swarmCheckpoint is the one in localStorage
+
+const TURBO_FRAME_BUDGET_MS = 12;   // Simulation time per animation frame in turbo mode
+
+// Courses offered in the panel: random spawning or one of these levels
+const swarmLevels = BUILTIN_LEVELS.slice();
+let swarmLevel = null;
 
 // Initialize UI when DOM is loaded
 function initSwarmUI() {
@@ -32,6 +78,44 @@ function initSwarmUI() {
   ui.mutRate = document.getElementById('mutRate');
   ui.maxGen = document.getElementById('maxGen');
   ui.speed = document.getElementById('speed');
+  ui.seed = document.getElementById('seed');
+  ui.course = document.getElementById('courseSelect');
+  ui.levelFile = document.getElementById('levelFile');
+  ui.speedRamp = document.getElementById('speedRamp');
+  ui.gapRamp = document.getElementById('gapRamp');
+  ui.startStage = document.getElementById('startStage');
+  ui.curriculum = document.getElementById('curriculumToggle');
+  ui.curriculumThreshold = document.getElementById('curriculumThreshold');
+  ui.hidden = document.getElementById('hiddenLayers');
+  ui.activation = document.getElementById('activation');
+  ui.sensorList = document.getElementById('sensorList');
+  ui.optimizer = document.getElementById('optimizer');
+  ui.selection = document.getElementById('selection');
+  ui.crossover = document.getElementById('crossover');
+  ui.mutation = document.getElementById('mutation');
+  ui.crossRate = document.getElementById('crossRate');
+  ui.eliteFrac = document.getElementById('eliteFrac');
+  ui.islands = document.getElementById('islandCount');
+  ui.migrationInterval = document.getElementById('migrationInterval');
+  ui.migrants = document.getElementById('migrants');
+  ui.islandSettings = document.getElementById('islandSettings');
+  ui.fitnessPreset = document.getElementById('fitnessPreset');
+  ui.fitnessSpec = document.getElementById('fitnessSpec');
+  ui.pareto = document.getElementById('paretoToggle');
+  ui.trainCourses = document.getElementById('trainCourses');
+  ui.testCourses = document.getElementById('testCourses');
+  ui.robustness = document.getElementById('robustnessInfo');
+  ui.workerCount = document.getElementById('workerCount');
+  ui.turbo = document.getElementById('turboMode');
+  ui.turboEvery = document.getElementById('turboEvery');
+  ui.demoInfo = document.getElementById('demoInfo');
+  ui.demoShare = document.getElementById('demoShare');
+  ui.demoShareDisplay = document.getElementById('demoShareDisplay');
+  ui.demoFile = document.getElementById('demoFile');
+  ui.checkpointEvery = document.getElementById('checkpointEvery');
+  ui.checkpointInfo = document.getElementById('checkpointInfo');
+  ui.checkpointFile = document.getElementById('checkpointFile');
+  ui.resume = document.getElementById('resumeBtn');
   ui.blend = document.getElementById('blendToggle');
   ui.start = document.getElementById('startBtn');
   ui.pause = document.getElementById('pauseBtn');
@@ -39,7 +123,12 @@ function initSwarmUI() {
   ui.status = document.getElementById('status');
   ui.popDisplay = document.getElementById('popDisplay');
   ui.mutDisplay = document.getElementById('mutDisplay');
+  ui.crossDisplay = document.getElementById('crossDisplay');
+  ui.eliteDisplay = document.getElementById('eliteDisplay');
   ui.speedDisplay = document.getElementById('speedDisplay');
+  ui.speedRampDisplay = document.getElementById('speedRampDisplay');
+  ui.gapRampDisplay = document.getElementById('gapRampDisplay');
+  ui.curriculumDisplay = document.getElementById('curriculumDisplay');
 
   if (!ui.popSize) {
     console.log("Swarm UI not found - running in single-player mode");
@@ -60,170 +149,531 @@ function initSwarmUI() {
     ui.mutDisplay.textContent = parseFloat(ui.mutRate.value).toFixed(2);
   });
 
+  ui.crossRate.addEventListener('input', () => {
+    ui.crossDisplay.textContent = parseFloat(ui.crossRate.value).toFixed(2);
+  });
+
+  ui.eliteFrac.addEventListener('input', () => {
+    ui.eliteDisplay.textContent = Math.round(parseFloat(ui.eliteFrac.value) * 100) + '%';
+  });
+
   ui.speed.addEventListener('input', () => {
     swarmSpeedFactor = parseFloat(ui.speed.value);
     ui.speedDisplay.textContent = swarmSpeedFactor.toFixed(1) + 'x';
   });
 
+  // Difficulty of random courses, shared with the interactive game
+  ui.speedRamp.addEventListener('input', () => {
+    ui.speedRampDisplay.textContent = ui.speedRamp.value;
+    applyPanelDifficulty();
+  });
+
+  ui.gapRamp.addEventListener('input', () => {
+    ui.gapRampDisplay.textContent = parseFloat(ui.gapRamp.value).toFixed(3);
+    applyPanelDifficulty();
+  });
+
+  ui.startStage.addEventListener('change', applyPanelDifficulty);
+
+  ui.curriculumThreshold.addEventListener('input', () => {
+    ui.curriculumDisplay.textContent = Math.round(parseFloat(ui.curriculumThreshold.value) * 100) + '%';
+  });
+
+  // Course choice: random, a built-in level, or a level file
+  refreshCourseOptions();
+  ui.course.addEventListener('change', onCourseChange);
+  ui.levelFile.addEventListener('change', onLevelFileChosen);
+
+  // Selection and crossover choices come from the operator tables
+  fillSelect(ui.optimizer, OPTIMIZERS, DEFAULT_GA_SETTINGS.optimizer);
+  fillSelect(ui.selection, SELECTION_SCHEMES, DEFAULT_GA_SETTINGS.selection);
+  fillSelect(ui.crossover, CROSSOVER_OPERATORS, DEFAULT_GA_SETTINGS.crossover);
+  fillSelect(ui.mutation, MUTATION_STRATEGIES, DEFAULT_GA_SETTINGS.mutation);
+
+  // Fitness presets fill in the weights, which can then be edited by hand
+  fillSelect(ui.fitnessPreset, FITNESS_PRESETS, DEFAULT_GA_SETTINGS.fitness);
+  ui.fitnessSpec.value = FITNESS_PRESETS[ui.fitnessPreset.value].spec;
+  ui.fitnessPreset.addEventListener('change', () => {
+    ui.fitnessSpec.value = FITNESS_PRESETS[ui.fitnessPreset.value].spec;
+  });
+  ui.fitnessSpec.placeholder = Object.keys(FITNESS_FUNCTIONS).join(', ');
+
+  ui.workerCount.value = defaultWorkerCount();
+  ui.testCourses.value = TEST_COURSES;
+
+  // Demonstrations recorded from manual play
+  ui.demoShare.addEventListener('input', () => {
+    ui.demoShareDisplay.textContent = Math.round(parseFloat(ui.demoShare.value) * 100) + '%';
+  });
+  document.getElementById('demoFit').addEventListener('click', fitDemoAI);
+  document.getElementById('demoExport').addEventListener('click', exportDemonstrations);
+  document.getElementById('demoImport').addEventListener('click', () => ui.demoFile.click());
+  document.getElementById('demoClear').addEventListener('click', () => {
+    window.geoDashGame.setDemonstrations(emptyDemonstrations());
+    showDemonstrations();
+  });
+  ui.demoFile.addEventListener('change', importDemonstrations);
+
+  // Checkpoints of the swarm run, to resume after a stop or a reload
+  ui.checkpointEvery.value = CHECKPOINT_EVERY;
+  ui.resume.addEventListener('click', resumeSwarmTraining);
+  document.getElementById('checkpointExport').addEventListener('click', exportCheckpoint);
+  document.getElementById('checkpointImport').addEventListener('click', () => ui.checkpointFile.click());
+  ui.checkpointFile.addEventListener('change', importCheckpoint);
+  window.addEventListener('pagehide', storeSwarmCheckpoint);
+  showCheckpoint();
+
+  // One checkbox per available sensor
+  for (const name of Object.keys(SENSORS)) {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = name;
+    box.checked = DEFAULT_SENSORS.includes(name);
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(' ' + SENSORS[name].label));
+    ui.sensorList.appendChild(label);
+  }
+
   console.log("🧬 Swarm visualizer initialized!");
 }
 
+// Add one <option> per entry of a { name: { label } } table
+function fillSelect(select, table, selected) {
+  for (const name of Object.keys(table)) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = table[name].label;
+    option.selected = name === selected;
+    select.appendChild(option);
+  }
+}
+
+// Rebuild the course <select> from swarmLevels
+function refreshCourseOptions() {
+  ui.course.innerHTML = '';
+  const add = (value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    ui.course.appendChild(option);
+  };
+  add('random', '🎲 Random');
+  swarmLevels.forEach((level, i) => add(String(i), '🗺️ ' + level.name));
+  add('file', '📂 Load level file...');
+  ui.course.value = swarmLevel ? String(swarmLevels.indexOf(swarmLevel)) : 'random';
+}
+
+function onCourseChange() {
+  if (ui.course.value === 'file') {
+    ui.levelFile.click();
+    return;
+  }
+  selectLevel(ui.course.value === 'random' ? null : swarmLevels[parseInt(ui.course.value)]);
+}
+
+// Parse the chosen JSON level file and add it to the course list
+function onLevelFileChosen() {
+  const file = ui.levelFile.files[0];
+  ui.levelFile.value = '';
+  if (!file) {
+    refreshCourseOptions();
+    return;
+  }
+  file.text().then(text => {
+    const level = parseLevel(text);
+    swarmLevels.push(level);
+    selectLevel(level);
+  }).catch(err => {
+    ui.status.textContent = `❌ Bad level file: ${err.message}`;
+    refreshCourseOptions();
+  });
+}
+
+// Use a level (or null for random courses) for training and the interactive game
+function selectLevel(level) {
+  swarmLevel = level;
+  refreshCourseOptions();
+  if (window.geoDashGame) {
+    window.geoDashGame.setLevel(level);
+  }
+}
+
+// Difficulty settings from the panel (throws on a bad stage)
+function readPanelDifficulty() {
+  return makeDifficulty({
+    stage: parseInt(ui.startStage.value) || 0,
+    speedRamp: parseFloat(ui.speedRamp.value),
+    gapRamp: parseFloat(ui.gapRamp.value)
+  });
+}
+
+// Hand the panel's difficulty to the interactive game (used from its next restart)
+function applyPanelDifficulty() {
+  if (!window.geoDashGame) {
+    return;
+  }
+  try {
+    window.geoDashGame.setDifficulty(readPanelDifficulty());
+  } catch (err) {
+    ui.status.textContent = `❌ ${err.message}`;
+  }
+}
+
+// Brain layout chosen in the panel
+function readPanelBrainLayout() {
+  return makeBrainLayout({
+    sensors: Array.from(ui.sensorList.querySelectorAll('input:checked')).map(box => box.value),
+    hidden: ui.hidden.value,
+    activation: ui.activation.value
+  });
+}
+
+// GA settings chosen in the panel (checked by the engine, see makeGASettings)
+function readPanelGASettings() {
+  return {
+    optimizer: ui.optimizer.value,
+    selection: ui.selection.value,
+    crossover: ui.crossover.value,
+    mutation: ui.mutation.value,
+    mutationRate: parseFloat(ui.mutRate.value),
+    crossoverRate: parseFloat(ui.crossRate.value),
+    eliteFraction: parseFloat(ui.eliteFrac.value),
+    curriculum: ui.curriculum.checked,
+    curriculumThreshold: parseFloat(ui.curriculumThreshold.value),
+    fitness: ui.fitnessSpec.value,
+    courses: parseInt(ui.trainCourses.value),
+    islands: parseInt(ui.islands.value),
+    migrationInterval: parseInt(ui.migrationInterval.value),
+    migrants: parseInt(ui.migrants.value),
+    islandSettings: parseIslandSettings(ui.islandSettings.value),
+    pareto: ui.pareto.checked
+  };
+}
+
+function currentDemonstrations() {
+  return window.geoDashGame ? window.geoDashGame.getDemonstrations() : emptyDemonstrations();
+}
+
+function showDemonstrations() {
+  const demos = currentDemonstrations();
+  ui.demoInfo.textContent = demos.samples.length > 0
+    ? describeDemonstrations(demos)
+    : 'None yet - play by hand to record some';
+}
+
+// Fit the panel's brain to the demonstrations and hand it to the game's AI
+function fitDemoAI() {
+  try {
+    const layout = readPanelBrainLayout();
+    const fit = fitDemonstrations(currentDemonstrations(), layout);
+    const fitted = {
+      name: `Fitted to demonstrations (${Math.round(fit.accuracy * 100)}%)`,
+      genome: fit.genome,
+      layout: layout,
+      entry: { source: 'demonstrations', genome: fit.genome, layout: layout }
+    };
+    window.geoDashGame.setTrainedAI(fitted);
+    window.geoDashGame.useGenome(fitted);
+    ui.demoInfo.textContent = `🎓 ${describeBrainLayout(layout)}: ${Math.round(fit.accuracy * 100)}% of decisions matched`;
+    console.log(`🎓 Fitted ${describeBrainLayout(layout)} to the demonstrations (${Math.round(fit.accuracy * 100)}% balanced accuracy)`);
+  } catch (err) {
+    ui.demoInfo.textContent = `❌ ${err.message}`;
+  }
+}
+
+// The panel's share of a first generation, fitted to the demonstrations (none if it can't be fitted)
+function demoSeedGenomes(layout, popSize, seed) {
+  const count = Math.round(parseFloat(ui.demoShare.value) * popSize);
+  if (count === 0) {
+    return [];
+  }
+  try {
+    const seeds = demonstrationSeeds(currentDemonstrations(), layout, count, seed);
+    console.log(`🎓 Seeding ${seeds.length} of ${popSize} genomes from the demonstrations`);
+    return seeds;
+  } catch (err) {
+    console.log(`❌ Not seeding from demonstrations: ${err.message}`);
+    return [];
+  }
+}
+
+function exportDemonstrations() {
+  downloadFile('demonstrations.json', JSON.stringify(currentDemonstrations()));
+}
+
+function importDemonstrations() {
+  const file = ui.demoFile.files[0];
+  ui.demoFile.value = '';
+  if (!file) {
+    return;
+  }
+  file.text().then(text => {
+    window.geoDashGame.setDemonstrations(parseDemonstrations(text));
+    showDemonstrations();
+  }).catch(err => {
+    ui.demoInfo.textContent = `❌ Bad demonstration file: ${err.message}`;
+  });
+}
+
+// Show the swarm checkpoint in the panel
+function showCheckpoint() {
+  ui.resume.disabled = swarmAnimating || !swarmCheckpoint;
+  if (!swarmCheckpoint) {
+    ui.checkpointInfo.textContent = 'None yet';
+    return;
+  }
+  ui.checkpointInfo.textContent = `${swarmCheckpointSaved ? '💾' : '⚠️ not saved:'} ${describeCheckpoint(swarmCheckpoint)}`;
+}
+
+// Remember the swarm run at a generation boundary; saved every N generations
+function recordSwarmCheckpoint(engine) {
+  swarmCheckpoint = engineCheckpoint(engine, 'swarm');
+  swarmCheckpointSaved = false;
+  const every = parseInt(ui.checkpointEvery.value) || 0;
+  if (every > 0 && engine.generation % every === 0) {
+    storeSwarmCheckpoint();
+  }
+  showCheckpoint();
+}
+
+// Save the latest checkpoint to localStorage (on stop, auto-save and when the page goes away)
+// A new run has nothing to lose before its first generation, so it doesn't replace the saved one yet
+function storeSwarmCheckpoint() {
+  if (swarmCheckpoint && !swarmCheckpointSaved && swarmCheckpoint.generation > 0) {
+    swarmCheckpointSaved = saveCheckpoint(swarmCheckpoint);
+  }
+  showCheckpoint();
+}
+
+function exportCheckpoint() {
+  if (!swarmCheckpoint) {
+    return;
+  }
+  downloadFile(`checkpoint-gen${swarmCheckpoint.generation}.json`, JSON.stringify(swarmCheckpoint));
+}
+
+// Checkpoints from the panel or the command-line trainer; "Resume" then carries on from it
+function importCheckpoint() {
+  const file = ui.checkpointFile.files[0];
+  ui.checkpointFile.value = '';
+  if (!file) {
+    return;
+  }
+  file.text().then(text => {
+    swarmCheckpoint = parseCheckpoint(text);
+    swarmCheckpointSaved = false;
+    storeSwarmCheckpoint();
+  }).catch(err => {
+    ui.checkpointInfo.textContent = `❌ Bad checkpoint file: ${err.message}`;
+  });
+}
+
 // Setup GA parameters and start training
 function setupSwarmGA() {
-  swarmGeneration = 0;
-  swarmBestFitness = 0;
   const popSize = parseInt(ui.popSize.value);
+
+  // Use the seed from the panel, or roll one and show it so the run can be repeated
+  const enteredSeed = parseInt(ui.seed.value);
+  const seed = Number.isNaN(enteredSeed) ? randomSeed() : enteredSeed >>> 0;
+  ui.seed.value = seed;
+
+  const layout = readPanelBrainLayout();
+  // Genomes ticked in the library come first, then the share fitted to the demonstrations
+  const librarySeeds = window.genomeLibrary ? window.genomeLibrary.getSeedGenomes(layout) : [];
+  if (librarySeeds.length > 0) {
+    console.log(`📚 Seeding ${librarySeeds.length} genome(s) from the library`);
+  }
+
+  // The engine creates the initial population and breeds every generation
+  swarmEngine = new GAEngine({
+    seed: seed,
+    popSize: popSize,
+    level: swarmLevel,
+    difficulty: readPanelDifficulty(),
+    brain: layout,
+    seedGenomes: librarySeeds.concat(demoSeedGenomes(layout, popSize, seed)),
+    ga: readPanelGASettings(),
+    evaluate: runSwarmGenerationVisual,
+    onGeneration: onSwarmGeneration
+  });
+  markSwarmRunning();
+  recordSwarmCheckpoint(swarmEngine);
+  ui.robustness.textContent = '';
+  ui.status.textContent = `Gen: 0 | Population: ${popSize} | Seed: ${seed} | Stage: ${swarmEngine.difficulty.stage} | Best: 0.00s`;
   
-  // Create initial population using existing randGenome function
-  swarmPopulation = Array.from({length: popSize}, () => randGenome());
+  console.log(`🚀 Starting swarm training with ${popSize} individuals (seed ${seed}, brain ${describeBrainLayout(swarmEngine.layout)}, ${describeOptimizer(swarmEngine.settings)}, fitness ${swarmEngine.fitness.spec}${swarmEngine.settings.pareto ? ' (Pareto)' : ''})`);
+  console.log(`📐 Canvas dimensions: ${document.getElementById('gameCanvas').width}x${document.getElementById('gameCanvas').height}`);
+}
+
+// Carry on from the checkpoint with the settings it was saved with
+function setupSwarmResume() {
+  const maxGen = parseInt(ui.maxGen.value);
+  if (swarmCheckpoint.generation >= maxGen) {
+    throw new Error(`The checkpoint is at generation ${swarmCheckpoint.generation} - raise Max Gen to go on`);
+  }
+  swarmEngine = engineFromCheckpoint(swarmCheckpoint, {
+    evaluate: runSwarmGenerationVisual,
+    onGeneration: onSwarmGeneration
+  });
+  ui.seed.value = swarmEngine.seed;
+  markSwarmRunning();
+  updateDashboard(swarmEngine);
+  if (swarmEngine.history.length > 0) {
+    showRobustness(swarmEngine);
+  }
+  ui.status.textContent = `Gen: ${swarmEngine.generation} | Seed: ${swarmEngine.seed} | Stage: ${swarmEngine.difficulty.stage} | Best: ${formatFitness(swarmEngine.bestFitness, swarmEngine.fitness)}`;
+
+  console.log(`⏯️ Resuming swarm training after generation ${swarmEngine.generation} (seed ${swarmEngine.seed}, ${swarmEngine.popSize} x brain ${describeBrainLayout(swarmEngine.layout)}, fitness ${swarmEngine.fitness.spec})`);
+}
+
+function markSwarmRunning() {
   swarmAnimating = true;
   swarmPaused = false;
-  
+
   // Update UI
   ui.start.disabled = true;
+  ui.resume.disabled = true;
   ui.pause.disabled = false;
   ui.stop.disabled = false;
-  ui.status.textContent = `Gen: 0 | Population: ${popSize} | Best: 0.00s`;
-  
-  console.log(`🚀 Starting swarm training with ${popSize} individuals`);
-  console.log(`📐 Canvas dimensions: ${document.getElementById('gameCanvas').width}x${document.getElementById('gameCanvas').height}`);
 }
 
 // Main training loop
 async function swarmTrainingLoop() {
   const maxGen = parseInt(ui.maxGen.value);
+  const engine = swarmEngine; // A new run started after "Stop" gets its own loop
   
-  while (swarmGeneration < maxGen && swarmAnimating) {
+  while (engine.generation < maxGen && swarmAnimating && engine === swarmEngine) {
     if (swarmPaused) {
       await new Promise(resolve => setTimeout(resolve, 100));
       continue;
     }
 
-    swarmGeneration++;
-    
-    // Run one generation with visualization
-    const scored = await runSwarmGenerationVisual(swarmPopulation);
-    
-    // Sort by fitness (descending)
-    scored.sort((a, b) => b.fitness - a.fitness);
-    swarmBestFitness = scored[0].fitness;
-    
-    // Update status
-    const avgFitness = scored.reduce((sum, s) => sum + s.fitness, 0) / scored.length;
-    ui.status.textContent = `Gen: ${swarmGeneration} | Best: ${swarmBestFitness.toFixed(2)}s | Avg: ${avgFitness.toFixed(2)}s`;
-    
-    // Create next generation
-    const eliteCount = Math.floor(scored.length * 0.1); // Top 10%
-    const elites = scored.slice(0, eliteCount);
-    swarmPopulation = breedNextGeneration(elites, parseFloat(ui.mutRate.value));
+    // Run one generation with visualization, then breed the next; a generation cut short by
+    // "Stop" never reaches the engine, which stays at the last whole generation
+    try {
+      await engine.step();
+    } catch (err) {
+      if (swarmAnimating && engine === swarmEngine) {
+        ui.status.textContent = `❌ ${err.message}`;
+        console.log(`❌ Swarm training failed: ${err.message}`);
+        stopSwarmTraining();
+      }
+      return;
+    }
     
     // Small delay to keep UI responsive
     await new Promise(resolve => setTimeout(resolve, 10));
   }
   
-  if (swarmAnimating) {
-    console.log(`🏆 Swarm training complete! Best fitness: ${swarmBestFitness.toFixed(2)}s`);
-    ui.status.textContent = `✅ Training complete! Best: ${swarmBestFitness.toFixed(2)}s`;
+  if (swarmAnimating && engine === swarmEngine) {
+    const best = formatFitness(engine.bestFitness, engine.fitness);
+    console.log(`🏆 Swarm training complete! Best fitness: ${best}`);
+    ui.status.textContent = `✅ Training complete! Best: ${best}`;
     stopSwarmTraining();
   }
 }
 
-// Run one generation with real-time visualization
-function runSwarmGenerationVisual(population) {
-  return new Promise(resolve => {
-    // Get actual canvas dimensions
-    const canvas = document.getElementById('gameCanvas');
-    const canvasWidth = canvas.width;
-    const canvasHeight = canvas.height;
-    
-    // Create game instances for each genome with actual canvas dimensions
-    const bots = population.map(genome => {
-      const game = new Game(genome);
+// Engine callback after each generation: update status and charts, and checkpoint the run
+function onSwarmGeneration(stats, engine) {
+  recordSwarmCheckpoint(engine);
+  updateDashboard(engine);
+  showRobustness(engine);
+  ui.status.textContent = `Gen: ${stats.generation} | Seed: ${engine.seed} | Stage: ${stats.stage} | Best: ${formatFitness(stats.best, engine.fitness)} | Avg: ${formatFitness(stats.avg, engine.fitness)}`;
+  if (stats.islands) {
+    ui.status.textContent += ` | Islands: ${stats.islands.map(island => formatFitness(island.best, engine.fitness)).join(' / ')}${stats.migrated ? ' (migrated)' : ''}`;
+  }
+}
+
+// Train-vs-test scores of the current best genome
+function showRobustness(engine) {
+  const testCount = parseInt(ui.testCourses.value) || 0;
+  if (testCount <= 0) {
+    ui.robustness.textContent = '';
+    return;
+  }
+  const report = engineRobustnessReport(engine, courseSeeds(TEST_SEED, testCount));
+  ui.robustness.textContent = `🧪 Best genome\n` +
+    `Train ${describeCourseScores(report.train)}\n` +
+    `Test ${describeCourseScores(report.test)}\n` +
+    `Gap (train - test): ${formatFitness(report.gap, engine.fitness)}`;
+}
+
+// Run one generation with real-time visualization (the swarm engine's evaluator)
+function runSwarmGenerationVisual(population, courseSeed, engine) {
+  return new Promise((resolve, reject) => {
+    // Bots play the standard CANVAS_WIDTH x CANVAS_HEIGHT course like headless training;
+    // drawing scales it to the page's canvas
+    const bots = population.map((genome, i) => {
+      const game = new Game(genome, courseSeed, {
+        brain: engine.layout,
+        level: engine.level,
+        difficulty: engine.difficulty,
+        fitness: engine.fitness
+      });
       game.genome = genome; // Store genome reference
-      
-      // Override canvas dimensions to match actual canvas
-      game.canvasWidth = canvasWidth;
-      game.canvasHeight = canvasHeight;
-      
-      // Adjust player position for actual canvas size
-      game.player.x = canvasWidth / 2 - 10;
-      game.player.y = canvasHeight - 30;
-      
+      game.island = engine.islandOf(i); // Bots are colored by island
       return game;
     });
     
     let aliveBots = bots.slice();
-    const dt = 1/60 * swarmSpeedFactor;
+    let stepBudget = 0;   // Fixed steps owed at the current train speed
+    let frameCount = 0;
+
+    // Advance every live bot by one fixed step, exactly as Game.run() does
+    function stepAll() {
+      aliveBots = aliveBots.filter(bot => {
+        if (bot.isRunning(MAX_RUN_TIME)) {
+          bot.step(FIXED_STEP);
+        }
+        return bot.isRunning(MAX_RUN_TIME);
+      });
+    }
     
     function simulationStep() {
-      if (!swarmAnimating || swarmPaused) {
-        // If stopped/paused, just return current results
-        resolve(bots.map(bot => ({ 
-          genome: bot.genome, 
-          fitness: bot.totalTime 
-        })));
+      if (!swarmAnimating || engine !== swarmEngine) {
+        // Stopped (or replaced by a new run): drop the generation instead of scoring it cut short
+        reject(new Error('Swarm training stopped'));
         return;
       }
-      
-      // Get canvas and context
-      const canvas = document.getElementById('gameCanvas');
-      const ctx = canvas.getContext('2d');
-      
-      // Clear canvas completely
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      
-      // Reset to default rendering state
-      ctx.globalAlpha = 1;
-      ctx.globalCompositeOperation = 'source-over';
-      
-      // Update and draw all alive bots
-      aliveBots = aliveBots.filter(bot => {
-        if (!bot.gameOver && bot.totalTime < 30) { // Max 30 seconds
-          bot.step(dt);
-          return true;
+      if (swarmPaused) {
+        // Hold the generation where it is until resumed
+        requestAnimationFrame(simulationStep);
+        return;
+      }
+
+      const turbo = ui.turbo.value;
+      if (turbo === 'off') {
+        // Train Speed = fixed 1/60 steps per frame (fractions carry over to the next frame)
+        stepBudget += swarmSpeedFactor;
+        while (stepBudget >= 1 && aliveBots.length > 0) {
+          stepAll();
+          stepBudget--;
         }
-        return false;
-      });
-      
-      // Draw obstacles first (from any bot - they should be similar)
-      if (aliveBots.length > 0) {
-        ctx.fillStyle = 'red';
-        for (const obstacle of aliveBots[0].obstacles) {
-          ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+      } else {
+        // Turbo: as many steps as fit in the frame budget
+        const frameStart = performance.now();
+        while (aliveBots.length > 0 && performance.now() - frameStart < TURBO_FRAME_BUDGET_MS) {
+          stepAll();
         }
       }
-      
-      // Set blend mode for bots if enabled
-      if (ui.blend.checked) {
-        ctx.globalAlpha = 0.1;
-        ctx.globalCompositeOperation = 'multiply';
-      }
-      
-      // Draw all alive bots
-      let botCount = 0;
-      for (const bot of aliveBots) {
-        drawSwarmBot(bot, ctx);
-        botCount++;
-      }
-      
-      // Debug: log bot count occasionally
-      if (Math.random() < 0.01) { // 1% chance per frame
-        console.log(`🤖 Drawing ${botCount} bots at generation ${swarmGeneration}`);
+      frameCount++;
+
+      const canvas = document.getElementById('gameCanvas');
+      const ctx = canvas.getContext('2d');
+      if (turbo === 'summary') {
+        drawTurboSummary(ctx, canvas, engine, bots, aliveBots);
+      } else if (turbo === 'off' || frameCount % turboEvery() === 0) {
+        drawSwarmFrame(ctx, canvas, aliveBots);
       }
       
-      // Reset rendering state
-      ctx.globalAlpha = 1;
-      ctx.globalCompositeOperation = 'source-over';
-      
       // Continue simulation if bots are alive
       if (aliveBots.length > 0) {
         requestAnimationFrame(simulationStep);
       } else {
         // All bots are done, collect results
-        resolve(bots.map(bot => ({ 
-          genome: bot.genome, 
-          fitness: bot.totalTime 
-        })));
+        lastSwarmBots = bots;
+        resolve(bots.map(bot => Object.assign({ genome: bot.genome }, bot.score())));
       }
     }
     
@@ -231,59 +681,105 @@ function runSwarmGenerationVisual(population) {
   });
 }
 
-// Draw a single bot (player rectangle)
-function drawSwarmBot(bot, ctx) {
-  const player = bot.player;
+// Turbo "every Nth frame" setting from the panel
+function turboEvery() {
+  return Math.max(1, parseInt(ui.turboEvery.value) || 1);
+}
+
+// Draw the course and every live bot
+function drawSwarmFrame(ctx, canvas, aliveBots) {
+  // Clear canvas completely
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  
+  // Reset to default rendering state
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.save();
+  ctx.scale(canvas.width / CANVAS_WIDTH, canvas.height / CANVAS_HEIGHT);
   
-  // Make bots more visible based on blend mode
+  // Draw obstacles first (from any bot - they should be similar)
+  if (aliveBots.length > 0) {
+    for (const obstacle of aliveBots[0].obstacles) {
+      obstacle.draw(ctx);
+    }
+  }
+  
+  // Set blend mode for bots if enabled
   if (ui.blend.checked) {
-    ctx.fillStyle = 'rgba(0, 100, 255, 0.3)'; // More visible in ghost mode
-  } else {
-    ctx.fillStyle = 'rgba(0, 100, 255, 0.8)'; // Semi-transparent blue in normal mode
+    ctx.globalAlpha = 0.1;
+    ctx.globalCompositeOperation = 'multiply';
   }
   
-  ctx.fillRect(player.x, player.y, player.width, player.height);
+  // Draw all alive bots
+  for (const bot of aliveBots) {
+    drawSwarmBot(bot, ctx);
+  }
+  
+  // Reset rendering state
+  ctx.restore();
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
 }
 
-// Create next generation through breeding
-function breedNextGeneration(elites, mutationRate) {
-  const targetPopSize = parseInt(ui.popSize.value);
-  const nextGeneration = [];
-  
-  // Elitism: carry over best performers unchanged
-  for (const elite of elites) {
-    nextGeneration.push([...elite.genome]);
+// Turbo "summary only": a few lines of text instead of the course
+function drawTurboSummary(ctx, canvas, engine, bots, aliveBots) {
+  const simTime = bots.reduce((max, bot) => Math.max(max, bot.totalTime), 0);
+  const last = engine.history[engine.history.length - 1];
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = 'black';
+  ctx.font = '16px Arial';
+  ctx.fillText(`⚡ Turbo - generation ${engine.generation + 1}`, 20, 40);
+  ctx.fillText(`Alive: ${aliveBots.length}/${bots.length} at ${simTime.toFixed(1)}s`, 20, 65);
+  if (last) {
+    ctx.fillText(`Last generation: best ${formatFitness(last.best, engine.fitness)}, avg ${formatFitness(last.avg, engine.fitness)}`, 20, 90);
   }
-  
-  // Fill rest with mutated offspring
-  while (nextGeneration.length < targetPopSize) {
-    const parent = elites[Math.floor(Math.random() * elites.length)].genome;
-    const child = mutateGenome(parent, mutationRate);
-    nextGeneration.push(child);
+  if (last && last.islands) {
+    last.islands.forEach((island, i) => {
+      ctx.fillStyle = `rgb(${ISLAND_COLORS[i % ISLAND_COLORS.length]})`;
+      ctx.fillText(`Island ${i + 1}: best ${formatFitness(island.best, engine.fitness)}, avg ${formatFitness(island.avg, engine.fitness)}`, 20, 115 + i * 20);
+    });
   }
-  
-  return nextGeneration;
 }
 
-// Mutate a genome
-function mutateGenome(genome, mutationRate) {
-  const child = [...genome];
+// Draw a single bot (player rectangle)
+function drawSwarmBot(bot, ctx) {
+  const player = bot.player;
   
-  for (let i = 0; i < child.length; i++) {
-    if (Math.random() < mutationRate) {
-      // Add Gaussian noise
-      child[i] += randn() * 0.2;
-      // Clamp to reasonable range
-      child[i] = Math.max(-2, Math.min(2, child[i]));
-    }
+  // Make bots more visible based on blend mode, colored by island (blue with a single population)
+  const color = ISLAND_COLORS[bot.island % ISLAND_COLORS.length];
+  if (ui.blend.checked) {
+    ctx.fillStyle = `rgba(${color}, 0.3)`; // More visible in ghost mode
+  } else {
+    ctx.fillStyle = `rgba(${color}, 0.8)`; // Semi-transparent in normal mode
   }
   
-  return child;
+  ctx.fillRect(player.x, player.y, player.width, player.height);
 }
 
 // Event handlers
 function startSwarmTraining() {
-  setupSwarmGA();
+  // The new run's checkpoint takes the place of the saved one
+  if (swarmCheckpoint && swarmCheckpoint.generation > 0 &&
+      !confirm(`Start a new run? It will replace the checkpoint ${describeCheckpoint(swarmCheckpoint)} - use Resume to carry on with that run instead.`)) {
+    return;
+  }
+  try {
+    setupSwarmGA();
+  } catch (err) {
+    ui.status.textContent = `❌ ${err.message}`;
+    return;
+  }
+  swarmTrainingLoop();
+}
+
+function resumeSwarmTraining() {
+  try {
+    setupSwarmResume();
+  } catch (err) {
+    ui.status.textContent = `❌ ${err.message}`;
+    return;
+  }
   swarmTrainingLoop();
 }
 
@@ -302,6 +798,7 @@ function stopSwarmTraining() {
   ui.pause.disabled = true;
   ui.stop.disabled = true;
   ui.pause.textContent = '⏸️ Pause';
+  storeSwarmCheckpoint();
   
   console.log('🛑 Swarm training stopped');
 }
@@ -316,7 +813,31 @@ if (document.readyState === 'loading') {
 // Export functions for potential use by main game
 window.swarmVisualizer = {
   isTraining: () => swarmAnimating,
-  getBestGenome: () => swarmPopulation.length > 0 ? swarmPopulation[0] : null,
-  getCurrentGeneration: () => swarmGeneration,
-  getBestFitness: () => swarmBestFitness
+  getEngine: () => swarmEngine,
+  getBestGenome: () => swarmEngine ? swarmEngine.bestGenome : null,
+  getCurrentGeneration: () => swarmEngine ? swarmEngine.generation : 0,
+  getBestFitness: () => swarmEngine ? swarmEngine.bestFitness : 0,
+  getSeed: () => swarmEngine ? swarmEngine.seed : null,
+  getBrainLayout: () => swarmEngine ? swarmEngine.layout : DEFAULT_BRAIN_LAYOUT,
+  getGASettings: () => swarmEngine ? swarmEngine.settings : DEFAULT_GA_SETTINGS,
+  getLevel: () => swarmLevel,
+  // Replay of the bot ranked `rank` (1 = best) in the last finished generation
+  getBotReplay: rank => {
+    if (!lastSwarmBots) {
+      return null;
+    }
+    const ranked = lastSwarmBots.slice().sort((a, b) => b.score().fitness - a.score().fitness);
+    const bot = ranked[Math.max(0, Math.min(ranked.length, rank) - 1)];
+    return replayFromGame(bot, 'swarm', FIXED_STEP);
+  },
+  getWorkerCount: () => Math.max(0, Math.min(MAX_WORKERS, parseInt(ui.workerCount.value) || 0)),
+  getPanelBrainLayout: readPanelBrainLayout,
+  getPanelGASettings: readPanelGASettings,
+  getDifficulty: () => swarmEngine ? swarmEngine.difficulty : readPanelDifficulty(),
+  getDemoSeeds: demoSeedGenomes,
+  showDemonstrations: showDemonstrations,
+  addLevel: level => {
+    swarmLevels.push(level);
+    selectLevel(level);
+  }
 };
@@ -1,496 +1,642 @@
 var app = document.getElementById("gameCanvas");
 var ctx = app.getContext("2d");
 
-// Global constants for GA
-const CANVAS_WIDTH = 800;  // Default dimensions for headless simulation
-const CANVAS_HEIGHT = 450;
+// The interactive game is a headless Game (simulation.js) stepped at FIXED_STEP, exactly like
+// training, on the standard CANVAS_WIDTH x CANVAS_HEIGHT course scaled to the canvas.
+// Rendering interpolates between the last two steps, so motion stays smooth at any frame rate.
+const MAX_FRAME_TIME = 0.25; // seconds; longer frames (tab switches, throttling) are clamped
 
-// Obstacle class
-class Obstacle {
-  constructor(x, y, width, height, speed, color = "red") {
-    this.x = x;
-    this.y = y;
-    this.width = width;
-    this.height = height;
-    this.speed = speed; // pixels per second
-    this.color = color;
-  }
+let currentLevel = null; // Parsed level from levels.js, or null for random spawning
+let currentDifficulty = DEFAULT_DIFFICULTY; // Stage and ramps for random courses
 
-  update(deltaTime) {
-    // Move left
-    this.x -= this.speed * deltaTime;
+// Global variable to store the best AI genome
+let bestAIGenome = null;
+let bestAILayout = DEFAULT_BRAIN_LAYOUT; // Brain layout the genome was trained with
+let bestAIName = null;  // Where the genome came from, e.g. "Swarm best (Gen 12, 30.02s)"
+let bestAIEntry = null; // Its metadata for the genome library (see genome-library.js)
+
+// Genomes the AI can play are { name, genome, layout, entry } (see aiCandidates)
+let trainedAI = null; // The last genome from "T" or a fit to demonstrations
+let backgroundTraining = false; // A "T" run is going; T is ignored until it ends
+let pickedAI = null;  // The genome chosen with Shift+A or in the library (null: the default)
+let aiBrain = null;
+let aiMode = false;
+let aiInputs = null; // Sensor values the AI last saw (null when a human plays)
+
+// Jumps come from the keyboard or, in AI mode, from the brain
+let jumpRequested = false; // Set by the jump key while grounded, used by the next step
+let aiPlayed = false;      // The AI made decisions during this run (the replay is an AI run)
+const interactivePilot = {
+  shouldJump: game => {
+    // In a race the AI has its own Game, so the human's player is the human's alone
+    if (!aiMode || raceGhost !== null || aiBrain === null) {
+      runSamples.push(demonstrationSample(game, jumpRequested));
+      return jumpRequested;
+    }
+    // The jump key does nothing while the AI pilots, so its runs are the AI's alone
+    return aiBrain.shouldJump(game.senseInputs(bestAILayout.sensors));
   }
+};
 
-  draw(ctx) {
-    ctx.fillStyle = this.color;
-    ctx.fillRect(this.x, this.y, this.width, this.height);
-  }
+// Manual play is recorded as demonstrations the AI can learn from (see demonstrations.js)
+let demonstrations = emptyDemonstrations();
+let runSamples = []; // This run's samples; added to the demonstrations when the run ends
 
-  isOffScreen() {
-    return this.x + this.width < 0;
-  }
+// Race mode: the human and the AI run the same seeded course side by side, the AI as a ghost
+let raceMode = false;
+let raceGhost = null; // The AI's Game in the race being run (null outside races)
 
-  collidesWith(player) {
-    return !(
-      player.x + player.width  < this.x ||
-      player.x              > this.x + this.width ||
-      player.y + player.height < this.y ||
-      player.y             > this.y + this.height
-    );
-  }
-}
+let currentGame = newInteractiveGame();
 
-// Obstacle management
-const obstacles = [];
-const minSpawnDelay = 0.8;      // seconds
-const maxSpawnDelay = 2.5;      // seconds
-const obstacleSpeed = 250;      // pixels per second
-const obstacleSize = { w: 25, h: 25 };
+// The last finished run as a replay (format in replay.js)
+let lastReplay = null;
 
-let spawnTimer = 0;
-let nextSpawnDelay = getRandomDelay();
+// Session flow: "title" -> "playing" <-> "paused"; "playing" -> "gameover"; R starts a new run from any state
+let gameState = "title";
+let highScores = loadHighScores(); // Tables from high-scores.js
+let lastRun = null; // { kind, outcome, score, distance, time, place, race } of the last finished run
 
-function getRandomDelay() {
-  return minSpawnDelay + Math.random() * (maxSpawnDelay - minSpawnDelay);
+function newInteractiveGame() {
+  return new Game(null, randomSeed(), {
+    level: currentLevel,
+    difficulty: currentDifficulty,
+    pilot: interactivePilot
+  });
 }
 
-// Headless Game class for GA training
-class Game {
-  constructor(genome) {
-    this.w1 = genome[0];
-    this.w2 = genome[1];
-    this.b = genome[2];
-    this.genome = genome; // Store original genome for breeding
-
-    // Canvas dimensions for simulation
-    this.canvasWidth = CANVAS_WIDTH;
-    this.canvasHeight = CANVAS_HEIGHT;
-
-    // Player setup (copy from main game)
-    this.player = {
-      x: this.canvasWidth / 2 - 10,
-      y: this.canvasHeight - 30,
-      width: 20,
-      height: 20,
-      velocityY: 0,
-      gravity: 981,
-      jumpPower: -500,
-      grounded: false
-    };
-
-    // Obstacle management
-    this.obstacles = [];
-    this.spawnTimer = 0;
-    this.nextSpawnDelay = getRandomDelay();
-    this.totalTime = 0;
-    this.gameOver = false;
-  }
-
-  step(dt) {
-    // 1) Accumulate fitness (survival time)
-    this.totalTime += dt;
-
-    // 2) Player physics
-    if (!this.player.grounded) {
-      this.player.velocityY += this.player.gravity * dt;
-    }
-    
-    this.player.y += this.player.velocityY * dt;
-    
-    // Ground collision
-    var groundY = this.canvasHeight - this.player.height;
-    if (this.player.y >= groundY) {
-      this.player.y = groundY;
-      this.player.velocityY = 0;
-      this.player.grounded = true;
-    } else {
-      this.player.grounded = false;
-    }
-
-    // 3) GA "brain" decision
-    // Find the next obstacle that the player needs to jump over
-    const nextObstacle = this.obstacles.find(o => o.x + o.width > this.player.x);
-    const distToNext = nextObstacle ? (nextObstacle.x - this.player.x) : 999; // Large number if no obstacle
-    const playerHeight = this.player.y;
-    
-    // Normalize inputs to [0, 1] range for better neural network performance
-    const normalizedDist = Math.min(distToNext / this.canvasWidth, 1.0);
-    const normalizedHeight = playerHeight / this.canvasHeight;
-    
-    // Neural network decision (simple linear model)
-    const output = this.w1 * normalizedDist + this.w2 * normalizedHeight + this.b;
-    
-    // Jump if output > 0 and player is grounded
-    if (output > 0 && this.player.grounded) {
-      this.player.velocityY = this.player.jumpPower;
-      this.player.grounded = false;
-    }
-
-    // 4) Spawn obstacles
-    this.spawnTimer += dt;
-    if (this.spawnTimer >= this.nextSpawnDelay) {
-      this.spawnTimer = 0;
-      this.nextSpawnDelay = getRandomDelay();
-      
-      var yPos = this.canvasHeight - obstacleSize.h;
-      this.obstacles.push(new Obstacle(
-        this.canvasWidth,
-        yPos,
-        obstacleSize.w,
-        obstacleSize.h,
-        obstacleSpeed
-      ));
-    }
-
-    // 5) Update and cull obstacles
-    for (let i = this.obstacles.length - 1; i >= 0; i--) {
-      this.obstacles[i].update(dt);
-      if (this.obstacles[i].isOffScreen()) {
-        this.obstacles.splice(i, 1);
-      }
-    }
+// The AI's Game for a race on the human's course
+function newRaceGhost() {
+  return new Game(bestAIGenome, currentGame.seed, {
+    brain: bestAILayout,
+    level: currentLevel,
+    difficulty: currentDifficulty
+  });
+}
 
-    // 6) Collision detection
-    for (let j = 0; j < this.obstacles.length; j++) {
-      if (this.obstacles[j].collidesWith(this.player)) {
-        this.gameOver = true;
-        break;
-      }
-    }
-  }
+// In a race both sides stop at the MAX_RUN_TIME cap, like the AI's ghost when it is played out
+// (Game.run), so reaching it is a tie; a normal run has no cap
+function isLive(game) {
+  return !game.gameOver && !game.completed && (raceGhost === null || game.totalTime < MAX_RUN_TIME);
+}
 
-  run() {
-    const FIXED_DT = 1/60; // Simulate at 60fps
-    const MAX_TIME = 30; // Maximum simulation time (30 seconds)
-    
-    while (!this.gameOver && this.totalTime < MAX_TIME) {
-      this.step(FIXED_DT);
-    }
-    
-    return this.totalTime;
+// A normal run ends with the player. A race runs on while one of them is alive,
+// except that it is decided (and ends) once the AI has outlived the human.
+function runFinished() {
+  if (isLive(currentGame)) {
+    return false;
   }
+  return raceGhost === null || !isLive(raceGhost) || raceGhost.totalTime > currentGame.totalTime;
 }
 
-// Genetic Algorithm Functions
-function randGenome() {
-  // Generate random weights and bias in range [-1, 1]
-  return [
-    Math.random() * 2 - 1, // w1: weight for distance
-    Math.random() * 2 - 1, // w2: weight for height
-    Math.random() * 2 - 1  // b: bias
-  ];
+// Steps a game if it is still going, remembering positions for interpolated drawing
+function stepInteractive(game) {
+  if (!isLive(game)) {
+    return;
+  }
+  game.player.previousY = game.player.y;
+  for (const obstacle of game.obstacles) {
+    obstacle.previousX = obstacle.x;
+  }
+  game.step(FIXED_STEP);
 }
 
-function randn() {
-  // Box-Muller transformation for normal distribution
-  let u = 0, v = 0;
-  while(u === 0) u = Math.random();
-  while(v === 0) v = Math.random();
-  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+function lerp(from, to, alpha) {
+  return from === undefined ? to : from + (to - from) * alpha;
 }
 
-// GA Parameters
-const POP_SIZE = 50;
-const ELITE_FRACTION = 0.1; // Top 10%
-const GENERATIONS = 100;
-const MUTATION_RATE = 0.1;
-
-async function runGA() {
-  console.log("🧬 Starting Genetic Algorithm training...");
-  
-  // Initialize population
-  let population = Array.from({length: POP_SIZE}, () => randGenome());
-  let bestFitnessHistory = [];
-
-  for (let gen = 0; gen < GENERATIONS; gen++) {
-    // Evaluate fitness for each genome
-    const scored = population.map(genome => {
-      const fitness = new Game(genome).run();
-      return { genome, fitness };
-    });
-
-    // Sort by fitness (descending)
-    scored.sort((a, b) => b.fitness - a.fitness);
-
-    // Track best fitness
-    bestFitnessHistory.push(scored[0].fitness);
-
-    // Select elites (top performers)
-    const eliteCount = Math.floor(POP_SIZE * ELITE_FRACTION);
-    const elites = scored.slice(0, eliteCount);
-
-    // Calculate diversity metrics for mutation
-    const w1Vals = elites.map(e => e.genome[0]);
-    const w2Vals = elites.map(e => e.genome[1]);
-    const bVals = elites.map(e => e.genome[2]);
-    
-    const σ1 = Math.max(0.1, Math.max(...w1Vals) - Math.min(...w1Vals));
-    const σ2 = Math.max(0.1, Math.max(...w2Vals) - Math.min(...w2Vals));
-    const σb = Math.max(0.1, Math.max(...bVals) - Math.min(...bVals));
-
-    // Create next generation
-    const newPop = [];
-    
-    // Elitism: carry over best performers unchanged
-    elites.forEach(e => newPop.push([...e.genome]));
-    
-    // Fill rest with mutated offspring
-    while (newPop.length < POP_SIZE) {
-      const parent = elites[Math.floor(Math.random() * eliteCount)].genome;
-      const child = [
-        parent[0] + randn() * σ1 * MUTATION_RATE,
-        parent[1] + randn() * σ2 * MUTATION_RATE,
-        parent[2] + randn() * σb * MUTATION_RATE
-      ];
-      
-      // Clamp values to reasonable range
-      child[0] = Math.max(-2, Math.min(2, child[0]));
-      child[1] = Math.max(-2, Math.min(2, child[1]));
-      child[2] = Math.max(-2, Math.min(2, child[2]));
-      
-      newPop.push(child);
-    }
-
-    population = newPop;
-    
-    // Log progress
-    console.log(`Gen ${gen + 1}/${GENERATIONS} - Best: ${scored[0].fitness.toFixed(2)}s - Avg: ${(scored.reduce((sum, s) => sum + s.fitness, 0) / scored.length).toFixed(2)}s`);
-    
-    // Allow UI to update
-    if (gen % 10 === 0) {
-      await new Promise(resolve => setTimeout(resolve, 1));
-    }
+// Draw the game `alpha` of the way from the previous step to the latest one
+// In a race the AI's ghost is drawn over the human's course while it is still running
+function drawGame(alpha) {
+  ctx.clearRect(0, 0, app.width, app.height);
+  ctx.save();
+  ctx.scale(app.width / currentGame.canvasWidth, app.height / currentGame.canvasHeight);
+  for (const obstacle of currentGame.obstacles) {
+    ctx.save();
+    ctx.translate(lerp(obstacle.previousX, obstacle.x, alpha) - obstacle.x, 0);
+    obstacle.draw(ctx);
+    ctx.restore();
   }
-
-  const finalBest = population[0];
-  console.log("🏆 Training complete! Best genome:", finalBest);
-  console.log("📊 Fitness history:", bestFitnessHistory);
-  
-  return finalBest;
+  if (raceGhost && isLive(raceGhost)) {
+    drawPlayer(raceGhost.player, "rgba(0, 200, 0, 0.45)", alpha);
+  }
+  drawPlayer(currentGame.player, "blue", alpha);
+  ctx.restore();
 }
 
-// Global variable to store the best AI genome
-let bestAIGenome = null;
-let aiMode = false;
-
-var player = {
-  x: app.width / 2 - 10, // Center the player horizontally
-  y: app.height - 30, // Start near the bottom of the canvas
-  width: 20,
-  height: 20,
-  color: "blue",
-  velocityY: 0,
-  gravity: 981, // pixels per second squared
-  jumpPower: -500, // negative for upward movement
-  grounded: false
-};
-
-function drawPlayer() {
-  ctx.fillStyle = player.color;
-  ctx.fillRect(player.x, player.y, player.width, player.height);
+function drawPlayer(player, color, alpha) {
+  ctx.fillStyle = color;
+  ctx.fillRect(player.x, lerp(player.previousY, player.y, alpha), player.width, player.height);
 }
 
 function drawUI() {
   ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
-  ctx.fillRect(10, 10, 250, 100);
+  ctx.fillRect(10, 10, 250, 250);
   
   ctx.fillStyle = "white";
   ctx.font = "14px Arial";
   ctx.fillText("Controls:", 20, 30);
   ctx.fillText("SPACE/↑ - Jump", 20, 50);
-  ctx.fillText("R - Reset game", 20, 70);
-  ctx.fillText("T - Train AI", 20, 90);
-  ctx.fillText("A - Toggle AI mode", 20, 110);
+  ctx.fillText("P - Pause", 20, 70);
+  ctx.fillText("R - Reset game", 20, 90);
+  ctx.fillText("T - Train AI", 20, 110);
+  ctx.fillText("A - Toggle AI mode", 20, 130);
+  ctx.fillText("Shift+A - Pick AI genome", 20, 150);
+  ctx.fillText("E - Level editor", 20, 170);
+  ctx.fillText("B - Brain viewer", 20, 190);
+  ctx.fillText("V - Replay last run", 20, 210);
+  ctx.fillText("H - Race vs AI", 20, 230);
+  ctx.fillText("L - Genome library", 20, 250);
   
   // Show current mode
-  ctx.fillStyle = aiMode ? "lime" : "yellow";
+  ctx.fillStyle = raceMode ? "cyan" : aiMode ? "lime" : "yellow";
   ctx.font = "16px Arial";
-  const modeText = aiMode ? "🤖 AI Mode" : "👤 Manual Mode";
+  const modeText = raceMode ? "🏁 Race vs AI" : aiMode ? "🤖 AI Mode" : "👤 Manual Mode";
   ctx.fillText(modeText, app.width - 150, 30);
   
   // Show AI status
   if (bestAIGenome) {
     ctx.fillStyle = "lime";
     ctx.fillText("✅ AI Trained", app.width - 150, 50);
+    ctx.font = "12px Arial";
+    ctx.fillText(bestAIName, app.width - 150, 68);
   } else {
     ctx.fillStyle = "orange";
     ctx.fillText("❌ No AI", app.width - 150, 50);
   }
 }
 
-var lastTime = 0;
+// Score, distance and best score of the current mode (or the AI's progress in a race), top center
+function drawScore() {
+  const run = runScore(currentGame);
+  ctx.fillStyle = "black";
+  ctx.font = "20px Arial";
+  ctx.textAlign = "center";
+  if (raceGhost) {
+    ctx.fillText(`👤 ${describeRacer(currentGame)}   vs   🤖 ${describeRacer(raceGhost)}`, app.width / 2, 30);
+  } else {
+    const table = highScores[aiMode ? "ai" : "manual"];
+    const best = table.length > 0 ? table[0].score : 0;
+    ctx.fillText(`Score ${run.score}   ${run.distance.toFixed(1)} m   Best ${Math.max(best, run.score)}`, app.width / 2, 30);
+  }
+  ctx.textAlign = "left";
+}
 
-function update(currentTime) {
-  var deltaTime = (currentTime - lastTime) / 1000; // Convert to seconds
-  lastTime = currentTime;
-  
-  // Apply gravity
-  if (!player.grounded) {
-    player.velocityY += player.gravity * deltaTime;
+// "48.2 m" while running, "out at 48.2 m (hit block)" once done
+function describeRacer(game) {
+  const distance = `${runScore(game).distance.toFixed(1)} m`;
+  return isLive(game) ? distance : `out at ${distance} (${describeOutcome(game.killedBy, game.completed)})`;
+}
+
+// Title, pause and game-over screens over the game
+function drawStateOverlay() {
+  if (gameState === "playing") {
+    return;
   }
-  
-  // Update position
-  player.y += player.velocityY * deltaTime;
-  
-  // Ground collision
-  var groundY = app.height - player.height;
-  if (player.y >= groundY) {
-    player.y = groundY;
-    player.velocityY = 0;
-    player.grounded = true;
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.fillRect(0, 0, app.width, app.height);
+  ctx.fillStyle = "white";
+  ctx.textAlign = "center";
+  const centerX = app.width / 2;
+  let y = app.height / 2 - 90;
+
+  if (gameState === "title") {
+    ctx.font = "36px Arial";
+    ctx.fillText("Genetic AI Geo Dash", centerX, y);
+    ctx.font = "18px Arial";
+    ctx.fillText(`SPACE - Play ${raceMode ? "(🏁 race)" : aiMode ? "(🤖 AI)" : "(👤 manual)"}   A - Toggle AI mode   H - Race vs AI`, centerX, y + 35);
+  } else if (gameState === "paused") {
+    ctx.font = "36px Arial";
+    ctx.fillText("⏸️ Paused", centerX, y);
+    ctx.font = "18px Arial";
+    ctx.fillText("P - Resume   R - Restart", centerX, y + 35);
+  } else if (lastRun.race) {
+    drawRaceResults(lastRun.race, centerX, y);
   } else {
-    player.grounded = false;
-  }
-  
-  // AI decision making (if in AI mode)
-  if (aiMode && bestAIGenome) {
-    const nextObstacle = obstacles.find(o => o.x + o.width > player.x);
-    const distToNext = nextObstacle ? (nextObstacle.x - player.x) : 999;
-    const playerHeight = player.y;
-    
-    // Normalize inputs to [0, 1] range for better neural network performance
-    const normalizedDist = Math.min(distToNext / app.width, 1.0);
-    const normalizedHeight = playerHeight / app.height;
-    
-    // Use the trained AI genome to make decisions
-    const output = bestAIGenome[0] * normalizedDist + bestAIGenome[1] * normalizedHeight + bestAIGenome[2];
-    
-    if (output > 0 && player.grounded) {
-      player.velocityY = player.jumpPower;
-      player.grounded = false;
+    ctx.font = "36px Arial";
+    ctx.fillStyle = lastRun.outcome === "level complete" ? "lime" : "#ff6b6b";
+    ctx.fillText(lastRun.outcome === "level complete" ? "🏁 Level Complete" : "💥 Game Over", centerX, y);
+    ctx.fillStyle = "white";
+    ctx.font = "18px Arial";
+    ctx.fillText(`Score ${lastRun.score}   ${lastRun.distance.toFixed(1)} m   ${lastRun.time.toFixed(1)}s   (${lastRun.outcome})`, centerX, y + 35);
+    if (lastRun.place > 0) {
+      ctx.fillStyle = "gold";
+      ctx.fillText(`🏆 New ${lastRun.kind} high score #${lastRun.place}!`, centerX, y + 60);
+      ctx.fillStyle = "white";
     }
+    ctx.fillText("R / ENTER - Play again   V - Watch replay", centerX, y + 85);
   }
-  
-  // Random obstacle spawning
-  spawnTimer += deltaTime;
-  if (spawnTimer >= nextSpawnDelay) {
-    // Reset timer and roll a new random delay
-    spawnTimer = 0;
-    nextSpawnDelay = getRandomDelay();
-    
-    // Spawn obstacle at right edge
-    var yPos = app.height - obstacleSize.h;
-    obstacles.push(new Obstacle(
-      app.width,          // x position (right edge)
-      yPos,               // y position (on ground)
-      obstacleSize.w,     // width
-      obstacleSize.h,     // height
-      obstacleSpeed       // speed
-    ));
+
+  // High score tables, manual on the left and AI on the right
+  drawHighScoreTable("👤 Manual", highScores.manual, centerX - 150, y + 125);
+  drawHighScoreTable("🤖 AI", highScores.ai, centerX + 150, y + 125);
+  ctx.textAlign = "left";
+}
+
+// Who survived longer and where each one went out
+function drawRaceResults(race, centerX, y) {
+  const headline = { human: "🏆 You win!", ai: "🤖 The AI wins", tie: "🤝 Tie" }[race.winner];
+  ctx.font = "36px Arial";
+  ctx.fillStyle = race.winner === "human" ? "gold" : "white";
+  ctx.fillText(headline, centerX, y);
+  ctx.fillStyle = "white";
+  ctx.font = "18px Arial";
+  for (const [i, racer] of [["👤 You", race.human], ["🤖 AI", race.ai]].entries()) {
+    ctx.fillText(`${racer[0]}: ${racer[1].time.toFixed(2)}s, ${racer[1].distance.toFixed(1)} m - ${racer[1].outcome}`, centerX, y + 35 + 25 * i);
   }
-  
-  // Update obstacles and remove off-screen ones
-  for (var i = obstacles.length - 1; i >= 0; i--) {
-    var obstacle = obstacles[i];
-    obstacle.update(deltaTime);
-    if (obstacle.isOffScreen()) {
-      obstacles.splice(i, 1);
-    }
+  ctx.fillText("R / ENTER - Race again   H - Leave race mode   V - Watch your replay", centerX, y + 85);
+}
+
+function drawHighScoreTable(title, table, x, y) {
+  ctx.fillStyle = "white";
+  ctx.font = "16px Arial";
+  ctx.fillText(`${title} high scores`, x, y);
+  ctx.font = "14px Arial";
+  if (table.length === 0) {
+    ctx.fillText("none yet", x, y + 20);
   }
-  
-  // Collision detection
-  var gameOver = false;
-  for (var j = 0; j < obstacles.length; j++) {
-    if (obstacles[j].collidesWith(player)) {
-      console.log("Hit! Game Over!");
-      gameOver = true;
-      break;
+  table.forEach((entry, i) => {
+    ctx.fillText(`${i + 1}. ${entry.score}  (${entry.distance.toFixed(1)} m, ${entry.course})`, x, y + 20 * (i + 1));
+  });
+}
+
+var lastTime = null;      // Timestamp of the previous animation frame (null: loop just started)
+var accumulator = 0;      // Real time not yet simulated, in seconds
+
+// Time, distance and outcome of one side of a race
+function raceResult(game) {
+  return {
+    time: game.totalTime,
+    distance: runScore(game).distance,
+    outcome: describeOutcome(game.killedBy, game.completed)
+  };
+}
+
+// The finished run becomes the last replay and goes into its high score table
+// (races are left out of the tables, since they end as soon as the AI has outlived the human)
+function finishRun() {
+  if (currentGame.killedBy === "gap") {
+    console.log("Fell into a gap! Game Over!");
+  } else if (currentGame.killedBy) {
+    console.log("Hit! Game Over!");
+  } else if (currentGame.completed) {
+    console.log(`🏁 Level complete: ${currentLevel.name}`);
+  } else {
+    console.log(`⏱️ Reached the ${MAX_RUN_TIME}s cap`);
+  }
+  lastReplay = replayFromGame(currentGame, aiPlayed ? "ai" : "manual", FIXED_STEP);
+  if (aiPlayed) {
+    lastReplay.brain = bestAILayout;
+    lastReplay.genome = bestAIGenome;
+  }
+  console.log(`🎬 Run recorded (${lastReplay.outcome} after ${lastReplay.time.toFixed(2)}s) - press V to watch the replay`);
+
+  if (addDemonstrationRun(demonstrations, runSamples, currentGame.gameOver) > 0) {
+    console.log(`🎓 Demonstrations: ${describeDemonstrations(demonstrations)}`);
+    if (window.swarmVisualizer) {
+      window.swarmVisualizer.showDemonstrations();
     }
   }
-  
-  // Render everything
-  ctx.clearRect(0, 0, app.width, app.height);
-  drawPlayer();
-  
-  // Draw all obstacles
-  for (var k = 0; k < obstacles.length; k++) {
-    obstacles[k].draw(ctx);
+
+  const kind = aiPlayed ? "ai" : "manual";
+  const run = runScore(currentGame);
+  if (raceGhost) {
+    // The ghost doesn't depend on the human, so the rest of its run is played at once to show where it ends
+    raceGhost.run();
+    const race = { human: raceResult(currentGame), ai: raceResult(raceGhost) };
+    race.winner = race.human.time > race.ai.time ? "human" : race.ai.time > race.human.time ? "ai" : "tie";
+    lastRun = Object.assign({ kind: kind, outcome: lastReplay.outcome, time: currentGame.totalTime, place: 0, race: race }, run);
+    console.log(`🏁 Race over: ${race.winner === "tie" ? "tie" : race.winner === "human" ? "you win" : "the AI wins"} ` +
+      `(you ${race.human.time.toFixed(2)}s, AI ${race.ai.time.toFixed(2)}s)`);
+    gameState = "gameover";
+    return;
+  }
+  const place = recordHighScore(highScores, kind, {
+    score: run.score,
+    distance: run.distance,
+    time: currentGame.totalTime,
+    course: currentLevel ? currentLevel.name : "random",
+    date: new Date().toISOString()
+  });
+  lastRun = Object.assign({ kind: kind, outcome: lastReplay.outcome, time: currentGame.totalTime, place: place }, run);
+  if (place > 0) {
+    console.log(`🏆 New ${kind} high score #${place}: ${run.score}`);
+  }
+  gameState = "gameover";
+}
+
+function update(currentTime) {
+  // The level editor, the replay viewer and swarm training own the canvas; wait until they're done
+  if ((window.levelEditor && window.levelEditor.isActive()) ||
+      (window.replayViewer && window.replayViewer.isActive()) ||
+      (window.swarmVisualizer && window.swarmVisualizer.isTraining())) {
+    lastTime = null;
+    setTimeout(() => requestAnimationFrame(update), 100);
+    return;
   }
+
+  // Real time since the last frame, simulated in fixed steps; the remainder carries over
+  var frameTime = lastTime === null ? 0 : Math.min(MAX_FRAME_TIME, (currentTime - lastTime) / 1000);
+  lastTime = currentTime;
+
+  // Only a run in progress advances; the title, pause and game-over screens hold still
+  if (gameState === "playing") {
+    accumulator += frameTime;
+    while (accumulator >= FIXED_STEP && !runFinished()) {
+      stepInteractive(currentGame);
+      if (raceGhost) {
+        stepInteractive(raceGhost);
+      }
+      jumpRequested = false;
+      aiPlayed = aiPlayed || (aiMode && raceGhost === null && aiBrain !== null);
+      accumulator -= FIXED_STEP;
+    }
+    if (runFinished()) {
+      finishRun();
+    }
+  }
+  var playing = gameState === "playing";
+
+  // Same normalized sensor inputs the brain decides on (shown by the brain viewer)
+  aiInputs = playing && aiMode && aiBrain ? currentGame.senseInputs(bestAILayout.sensors) : null;
+
+  // Render everything, between the last two steps while playing
+  drawGame(playing ? accumulator / FIXED_STEP : 1);
+  drawScore();
   
   // Draw UI overlay
   drawUI();
-  
-  // Continue game loop unless game over or swarm training is active
-  if (!gameOver) {
-    // Check if swarm visualizer is running - if so, pause main game
-    if (window.swarmVisualizer && window.swarmVisualizer.isTraining()) {
-      // Swarm is running, pause main game but keep checking
-      setTimeout(() => requestAnimationFrame(update), 100);
-    } else {
-      // Normal game loop
-      requestAnimationFrame(update);
-    }
-  }
+  drawStateOverlay();
+
+  // One loop for the whole session; it never stops, so restarts can't stack loops
+  requestAnimationFrame(update);
 }
 
 requestAnimationFrame(update);
 
 console.log("🎮 Genetic AI Geo Dash loaded!");
 console.log("📖 Controls:");
-console.log("  SPACE/↑ - Jump");
+console.log("  SPACE/↑ - Jump (SPACE on the title screen starts)");
+console.log("  P - Pause");
 console.log("  R - Reset game");
 console.log("  T - Train AI (takes ~30 seconds)");
 console.log("  A - Toggle AI mode");
+console.log("  Shift+A - Pick the AI's genome (swarm best, \"T\" best, genome library)");
+console.log("  E - Level editor");
+console.log("  B - Brain viewer");
+console.log("  V - Replay last run");
+console.log("  H - Race vs AI");
+console.log("  L - Genome library");
 console.log("🧬 Press 'T' to train an AI player!");
 
+// Put the player back at the start of a fresh course (or the start of the level)
+function resetGame() {
+  currentGame = newInteractiveGame();
+  raceGhost = raceMode ? newRaceGhost() : null;
+  runSamples = [];
+  accumulator = 0;
+  jumpRequested = false;
+  aiPlayed = false;
+}
+
+// Start a new run right away
+function startRun() {
+  resetGame();
+  gameState = "playing";
+}
+
+function togglePause() {
+  if (gameState === "playing") {
+    gameState = "paused";
+    console.log("⏸️ Paused");
+  } else if (gameState === "paused") {
+    gameState = "playing";
+    console.log("▶️ Resumed");
+  }
+}
+
+// Play a level (or null for random spawning) from the start
+function setLevel(level) {
+  currentLevel = level;
+  resetGame();
+  console.log(level ? `🗺️ Level loaded: ${level.name} (press R if the game is over)` : "🎲 Random course");
+}
+
+// Difficulty for random courses, used from the next restart
+function setDifficulty(difficulty) {
+  currentDifficulty = difficulty;
+}
+
 // Add event listeners for player controls
 document.addEventListener("keydown", function(event) {
+  // Keys belong to the level editor or the replay viewer while open, and to a panel field being typed in
+  if (isTypingInField(event) || (window.levelEditor && window.levelEditor.isActive()) ||
+      (window.replayViewer && window.replayViewer.isActive())) {
+    return;
+  }
+
   if (event.key === "ArrowUp" || event.key === " ") {
-    if (player.grounded) {
-      player.velocityY = player.jumpPower; // Jump
-      player.grounded = false;
+    if (gameState === "title") {
+      startRun();
+    } else if (gameState === "playing" && currentGame.player.grounded) {
+      jumpRequested = true; // Jump in the next step
     }
   }
+
+  // Start from the title screen or play again after a game over
+  if (event.key === "Enter" && (gameState === "title" || gameState === "gameover")) {
+    startRun();
+  }
+
+  // Pause on 'P' key
+  if (event.key === "p" || event.key === "P") {
+    togglePause();
+  }
   
   // Reset game on 'R' key
   if (event.key === "r" || event.key === "R") {
-    // Reset player position
-    player.x = app.width / 2 - 10;
-    player.y = app.height - 30;
-    player.velocityY = 0;
-    player.grounded = false;
-    
-    // Clear all obstacles
-    obstacles.length = 0;
-    
-    // Reset spawn timer
-    spawnTimer = 0;
-    nextSpawnDelay = getRandomDelay();
-    
-    // Restart game loop
-    requestAnimationFrame(update);
+    startRun();
   }
   
   // Train AI on 'T' key
   if (event.key === "t" || event.key === "T") {
+    if (backgroundTraining) {
+      console.log("⏳ Background training is already running");
+      return;
+    }
     // Check if swarm trainer is available and not running
     if (window.swarmVisualizer && !window.swarmVisualizer.isTraining()) {
       console.log("🚀 Use the Swarm Controls panel to start visual training!");
       console.log("💡 Or train a single AI in background...");
     }
     
+    // Train the brain and GA settings chosen in the swarm panel, on its number of Web Workers
+    let layout = DEFAULT_BRAIN_LAYOUT;
+    let ga = {};
+    if (window.swarmVisualizer) {
+      try {
+        layout = window.swarmVisualizer.getPanelBrainLayout();
+        ga = window.swarmVisualizer.getPanelGASettings();
+      } catch (err) {
+        console.log(`❌ Background training failed: ${err.message}`);
+        return;
+      }
+    }
     console.log("🚀 Starting background AI training...");
-    runGA().then(best => {
-      bestAIGenome = best;
+    const workers = window.swarmVisualizer ? window.swarmVisualizer.getWorkerCount() : defaultWorkerCount();
+    const pool = openWorkerPool(workers);
+    console.log(pool ? `🧵 Evaluating on ${workers} worker(s)` : "🧵 Evaluating on the main thread");
+
+    // Part of the first generation can be fitted to the demonstrations (panel's "Seed Gen 1" share)
+    const seedGenomes = window.swarmVisualizer ? window.swarmVisualizer.getDemoSeeds(layout, POP_SIZE, randomSeed()) : [];
+
+    let trainingEngine = null;
+    backgroundTraining = true;
+    runGA({
+      level: currentLevel,
+      difficulty: currentDifficulty,
+      brain: layout,
+      ga: ga,
+      seedGenomes: seedGenomes,
+      evaluate: pool ? pool.evaluate.bind(pool) : evaluateInChunks,
+      onGeneration: (stats, engine) => {
+        trainingEngine = engine;
+        if (window.trainingDashboard) {
+          window.trainingDashboard.update(engine);
+        }
+      }
+    }).then(best => {
+      trainedAI = {
+        name: `"T" best (${formatFitness(trainingEngine.bestFitness, trainingEngine.fitness)})`,
+        genome: best,
+        layout: trainingEngine.layout,
+        entry: libraryEntryFromEngine(trainingEngine, "T")
+      };
+      pickedAI = trainedAI;
       console.log("✅ Background AI trained! Press 'A' to watch the AI play.");
+    }).catch(err => {
+      console.log(`❌ Background training failed: ${err.message}`);
+    }).finally(() => {
+      backgroundTraining = false;
+      if (pool) {
+        pool.terminate();
+      }
     });
   }
   
+  // Toggle race mode on 'H' key; a fresh run starts in the new mode
+  if (event.key === "h" || event.key === "H") {
+    if (raceMode) {
+      raceMode = false;
+      console.log("👤 Race mode OFF");
+      startRun();
+    } else if (loadAvailableAI()) {
+      raceMode = true;
+      console.log("🏁 Race mode ON - beat the AI's ghost on the same course!");
+      startRun();
+    }
+  }
+
+  // Pick the AI's genome on Shift+A
+  if (event.key === "A" && event.shiftKey) {
+    pickNextAI();
+    return;
+  }
+
   // Toggle AI mode on 'A' key
   if (event.key === "a" || event.key === "A") {
-    // Try to get best genome from swarm trainer first, then fallback to single AI
-    let availableGenome = bestAIGenome;
-    if (window.swarmVisualizer && window.swarmVisualizer.getBestGenome()) {
-      availableGenome = window.swarmVisualizer.getBestGenome();
-      console.log(`🧬 Using best genome from swarm (Gen ${window.swarmVisualizer.getCurrentGeneration()}, Fitness: ${window.swarmVisualizer.getBestFitness().toFixed(2)}s)`);
-    }
-    
-    if (availableGenome) {
-      bestAIGenome = availableGenome; // Update current AI
+    if (loadAvailableAI()) {
       aiMode = !aiMode;
       console.log(aiMode ? "🤖 AI mode ON" : "👤 Manual mode ON");
-    } else {
-      console.log("❌ No trained AI available. Press 'T' to train or use Swarm Controls.");
     }
   }
-});
\ No newline at end of file
+});
+
+// Genomes the AI can play, the default first: the swarm's best, the last "T" or fitted genome,
+// then every genome in the library
+function aiCandidates() {
+  const candidates = [];
+  const engine = window.swarmVisualizer ? window.swarmVisualizer.getEngine() : null;
+  if (engine && engine.bestGenome) {
+    candidates.push({
+      name: `Swarm best (Gen ${engine.generation}, ${formatFitness(engine.bestFitness, engine.fitness)})`,
+      genome: engine.bestGenome,
+      layout: engine.layout,
+      entry: libraryEntryFromEngine(engine, "swarm")
+    });
+  }
+  if (trainedAI) {
+    candidates.push(trainedAI);
+  }
+  const library = window.genomeLibrary ? window.genomeLibrary.getEntries() : [];
+  for (const entry of library) {
+    candidates.push({ name: `📚 ${entry.name}`, genome: entry.genome, layout: entry.layout, entry: entry });
+  }
+  return candidates;
+}
+
+// Load the genome the AI plays with: the picked one, else the default candidate
+// Returns false if there is none yet
+function loadAvailableAI() {
+  const choice = pickedAI || aiCandidates()[0];
+  if (!choice) {
+    console.log("❌ No trained AI available. Press 'T' to train or use Swarm Controls.");
+    return false;
+  }
+  setAI(choice);
+  return true;
+}
+
+function setAI(choice) {
+  bestAIGenome = choice.genome;
+  bestAILayout = choice.layout;
+  bestAIName = choice.name;
+  bestAIEntry = choice.entry;
+  aiBrain = new Brain(bestAILayout, bestAIGenome);
+  console.log(`🧬 AI genome: ${choice.name}`);
+}
+
+// Switch the AI to the next genome it can play, and let it play
+function pickNextAI() {
+  const candidates = aiCandidates();
+  if (candidates.length === 0) {
+    console.log("❌ No trained AI available. Press 'T' to train or use Swarm Controls.");
+    return;
+  }
+  const current = candidates.findIndex(c => c.genome === bestAIGenome);
+  pickedAI = candidates[(current + 1) % candidates.length];
+  setAI(pickedAI);
+  aiMode = true;
+  console.log("🤖 AI mode ON");
+}
+
+// Hooks for the swarm panel
+window.geoDashGame = {
+  setLevel: setLevel,
+  getLevel: () => currentLevel,
+  getLastReplay: () => lastReplay,
+  // Genome the AI plays with, its name and library metadata, and its live inputs (null unless the AI is playing)
+  getAI: () => ({ genome: bestAIGenome, layout: bestAILayout, name: bestAIName, entry: bestAIEntry, inputs: aiMode ? aiInputs : null }),
+  setDifficulty: setDifficulty,
+  getDemonstrations: () => demonstrations,
+  setDemonstrations: demos => {
+    demonstrations = demos;
+  },
+  // Let the AI play a genome { name, genome, layout, entry } (e.g. from the library)
+  useGenome: choice => {
+    pickedAI = choice;
+    setAI(choice);
+    aiMode = true;
+    console.log("🤖 AI mode ON");
+  },
+  // Offer a genome trained outside the trainers (e.g. fitted to demonstrations) as the "T" one
+  setTrainedAI: choice => {
+    trainedAI = choice;
+  },
+  // Test-play a level from the start, by hand or with the current AI
+  playLevel: (level, useAI) => {
+    aiMode = useAI && loadAvailableAI();
+    console.log(aiMode ? "🤖 AI mode ON" : "👤 Manual mode ON");
+    setLevel(level);
+    startRun();
+  }
+};
@@ -0,0 +1,107 @@
+// Genome library
+// Saved champions with where they came from, kept in localStorage and shareable as JSON.
+// The file format also accepts a single entry or the output file of the command-line trainer.
+//
+//   {
+//     "version": 1,
+//     "genomes": [{
+//       "id": "k3x9...", "name": "Swarm gen 40", "date": "...", "source": "swarm",
+//       "genome": [ ... ], "layout": { ... },          // brain layout from brain.js
+//       "fitness": 30.02, "fitnessSpec": "survival", "generation": 40, "seed": 42,
+//       "ga": { ... }, "level": null, "difficulty": { ... }   // null where unknown
+//     }, ...]
+//   }
+
+const LIBRARY_VERSION = 1;
+const LIBRARY_KEY = "geodash.genomeLibrary";
+
+// Metadata of an engine's current champion, ready to save
+function libraryEntryFromEngine(engine, source) {
+  return {
+    source: source,
+    genome: engine.bestGenome,
+    layout: engine.layout,
+    fitness: engine.bestFitness,
+    fitnessSpec: engine.fitness.spec,
+    generation: engine.generation,
+    seed: engine.seed,
+    ga: engine.settings,
+    level: engine.level ? engine.level.name : null,
+    difficulty: engine.difficulty
+  };
+}
+
+// Fill in the fields an entry may lack and check its genome fits its layout
+function makeLibraryEntry(data) {
+  const layout = makeBrainLayout(data.layout || data.brain || {});
+  if (!Array.isArray(data.genome)) {
+    throw new Error("A saved genome needs a \"genome\" array");
+  }
+  new Brain(layout, data.genome); // Throws if the genome doesn't fit the layout
+  return {
+    id: data.id || `${Date.now().toString(36)}${Math.floor(Math.random() * 1e6).toString(36)}`,
+    name: data.name || "Imported genome",
+    date: data.date || new Date().toISOString(),
+    source: data.source || "file",
+    genome: data.genome.slice(),
+    layout: layout,
+    fitness: typeof data.fitness === "number" ? data.fitness : null,
+    fitnessSpec: data.fitnessSpec || (data.ga && data.ga.fitness) || null,
+    // The trainer's output file has the number of generations it ran instead
+    generation: Number.isInteger(data.generation) ? data.generation : Number.isInteger(data.generations) ? data.generations : null,
+    seed: Number.isInteger(data.seed) ? data.seed : null,
+    ga: data.ga || null,
+    level: typeof data.level === "string" ? data.level : null,
+    difficulty: data.difficulty || null
+  };
+}
+
+// Entries of a library file, a single entry, or a trainer output file (object or JSON string)
+function parseGenomeLibrary(data) {
+  const parsed = typeof data === "string" ? JSON.parse(data) : data;
+  if (parsed && Array.isArray(parsed.genomes)) {
+    if (parsed.version !== LIBRARY_VERSION) {
+      throw new Error(`Not a version ${LIBRARY_VERSION} genome library`);
+    }
+    return parsed.genomes.map(makeLibraryEntry);
+  }
+  return [makeLibraryEntry(parsed || {})];
+}
+
+function genomeLibraryFile(entries) {
+  return { version: LIBRARY_VERSION, genomes: entries };
+}
+
+// Saved entries, or none if there are none (or they can't be read)
+function loadGenomeLibrary() {
+  try {
+    const saved = localStorage.getItem(LIBRARY_KEY);
+    return saved ? parseGenomeLibrary(saved) : [];
+  } catch (err) {
+    console.log(`❌ Ignoring saved genome library: ${err.message}`);
+    return [];
+  }
+}
+
+function saveGenomeLibrary(entries) {
+  try {
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(genomeLibraryFile(entries)));
+  } catch (err) {
+    console.log(`❌ Could not save the genome library: ${err.message}`);
+  }
+}
+
+// One line about an entry, e.g. "2-1 tanh [distance, height] | fitness 30.02 (survival) | gen 40 | seed 42"
+function describeLibraryEntry(entry) {
+  const parts = [describeBrainLayout(entry.layout)];
+  if (entry.fitness !== null) {
+    parts.push(`fitness ${entry.fitness.toFixed(2)}${entry.fitnessSpec ? ` (${entry.fitnessSpec})` : ""}`);
+  }
+  if (entry.generation !== null) {
+    parts.push(`gen ${entry.generation}`);
+  }
+  if (entry.seed !== null) {
+    parts.push(`seed ${entry.seed}`);
+  }
+  return parts.join(" | ");
+}
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+// GeoDash AI command-line trainer
+// Runs the headless simulation and GA from simulation.js without a browser
+//
+// Usage: node geodash.js train --pop 200 --gens 500 --seed 42 --out best.json
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Load the shared browser scripts into this context, in the same order as geodashai.html
+const SIM_SCRIPTS = ["sensors.js", "brain.js", "ga-operators.js", "optimizers.js", "fitness.js", "simulation.js", "levels.js", "robustness.js", "ga-engine.js", "checkpoints.js", "demonstrations.js"];
+
+function loadSimulation() {
+  for (const file of SIM_SCRIPTS) {
+    const fullPath = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(fullPath, "utf8"), { filename: fullPath });
+  }
+}
+
+const USAGE = `Usage: geodash <command> [options]
+
+Commands:
+  train                 Train a population and save the champion genome
+  compare               Train with each optimizer on the same courses and compare the champions
+                        on the same test set (takes the train options; --out saves the results)
+
+Train options:
+  --optimizer <name>    ga, esComma ((μ,λ)-ES), esPlus ((μ+λ)-ES), cmaes or random (default ga)
+  --pop <n>             Population size (default 50)
+  --gens <n>            Number of generations (default 100)
+  --mutation <name>     Mutation strategy: adaptive, gaussian (default adaptive; a number is still
+                        read as --mutation-rate, which this option used to set)
+  --mutation-rate <r>   Mutation rate (default 0.1)
+  --selection <name>    Parent selection: truncation, tournament, roulette, rank (default truncation)
+  --crossover <name>    Crossover: uniform, onePoint, blend (default uniform)
+  --crossover-rate <p>  Chance a child has two parents (default 0.7)
+  --elite <fraction>    Share of the population carried over unchanged (default 0.1)
+  --fitness <spec>      Fitness function or weighted mix, e.g. survival:1,cleared:1,wastedJumps:-0.5
+                        (functions: survival, cleared, distance, wastedJumps; default survival)
+  --pareto              Breed from Pareto fronts of the fitness functions (NSGA-II style)
+  --islands <n>         Split the population into n islands that breed apart (default 1)
+  --migrate-every <n>   Generations between migrations from each island to the next (default 5)
+  --migrants <n>        Best genomes each island sends per migration (default 2)
+  --island-settings <s> Per-island overrides, one island per ";", e.g. "size=20,mutationRate=0.3;mutation=gaussian"
+                        (size, selection, crossover, mutation, mutationRate, crossoverRate, eliteFraction,
+                        tournamentSize, blendAlpha)
+  --courses <n>         Score every generation on a fixed set of n courses and use the mean (default 1:
+                        a fresh course each generation)
+  --test-courses <n>    Size of the held-out test set the champion is checked on (default 10, 0 = none)
+  --test-seed <n>       Seed of the test set (default 1)
+  --seed <n>            Seed for courses and GA randomness (default random)
+  --level <file>        Train on a JSON level file instead of random courses
+  --stage <n>           Starting difficulty stage of random courses (default 0)
+  --speed-ramp <v>      Obstacle speed gained per second of a run, px/s (default 0)
+  --gap-ramp <r>        Share spawn gaps shrink per second of a run (default 0)
+  --curriculum [share]  Raise the stage once this share of bots reaches the cap (default 0.5)
+  --sensors <names>     Brain inputs, e.g. distance,height,velocityY (default distance,height)
+  --hidden <sizes>      Hidden layer sizes, e.g. 8,4 (default none: linear brain)
+  --activation <fn>     Hidden activation: tanh, relu, sigmoid, linear (default tanh)
+  --demo <file>         Seed the first generation from recorded human play (demonstrations JSON)
+  --demo-share <share>  Share of the first generation seeded from --demo (default 0.2)
+  --out <file>          Where to write the champion and fitness history (default best.json)
+  --checkpoint <file>   Save a checkpoint of the run to this file as it goes
+  --checkpoint-every <n>  Generations between checkpoint saves (default 10; the last one is always saved)
+  --resume <file>       Carry on from a checkpoint up to --gens generations in all; the run's
+                        settings come from the checkpoint
+
+Compare options:
+  --optimizers <names>  Optimizers to compare, e.g. ga,cmaes (default all)
+  --courses <n>         Training courses shared by every optimizer (default 5)
+  --test-courses <n>    Size of the test set every champion is checked on (default 10, at least 1)
+`;
+
+const COMPARE_COURSES = 5; // Default training courses for "compare", so every optimizer trains on the same ones
+
+// Turn ["--pop", "200", "--out", "x.json"] into { pop: "200", out: "x.json" }
+function parseArgs(args) {
+  const parsed = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith("--")) {
+      const key = arg.slice(2);
+      const next = args[i + 1];
+      if (next === undefined || next.startsWith("--")) {
+        parsed[key] = true;
+      } else {
+        parsed[key] = next;
+        i++;
+      }
+    } else {
+      parsed._.push(arg);
+    }
+  }
+  return parsed;
+}
+
+function parseNumberOption(value, name) {
+  if (value === undefined) return undefined;
+  const num = Number(value);
+  if (value === true || Number.isNaN(num)) {
+    throw new Error(`--${name} expects a number, got "${value}"`);
+  }
+  return num;
+}
+
+// Generation stats as saved in the output file
+function historyRow(stats) {
+  return {
+    generation: stats.generation,
+    courseSeed: stats.courseSeed,
+    stage: stats.stage,
+    best: stats.best,
+    avg: stats.avg,
+    worst: stats.worst,
+    cappedShare: stats.cappedShare,
+    spread: stats.spread,
+    islands: stats.islands
+  };
+}
+
+// --mutation names the strategy; it used to take the rate (now --mutation-rate), which still works
+function mutationOptions(args) {
+  const rate = parseNumberOption(args["mutation-rate"], "mutation-rate");
+  if (typeof args.mutation === "string" && args.mutation.trim() !== "" && !Number.isNaN(Number(args.mutation))) {
+    if (rate !== undefined) {
+      throw new Error("--mutation takes a strategy name; give the rate with --mutation-rate only");
+    }
+    console.log(`⚠️ Reading --mutation ${args.mutation} as --mutation-rate ${args.mutation}; --mutation now picks the strategy`);
+    return { strategy: undefined, rate: Number(args.mutation) };
+  }
+  return { strategy: args.mutation, rate: rate };
+}
+
+// Engine options from the train options shared by "train" and "compare"
+function trainingOptions(args) {
+  const mutation = mutationOptions(args);
+  const options = {
+    popSize: parseNumberOption(args.pop, "pop"),
+    generations: parseNumberOption(args.gens, "gens"),
+    seed: parseNumberOption(args.seed, "seed"),
+    level: args.level ? parseLevel(fs.readFileSync(args.level, "utf8")) : null,
+    ga: makeGASettings({
+      optimizer: args.optimizer,
+      selection: args.selection,
+      crossover: args.crossover,
+      mutation: mutation.strategy,
+      mutationRate: mutation.rate,
+      crossoverRate: parseNumberOption(args["crossover-rate"], "crossover-rate"),
+      eliteFraction: parseNumberOption(args.elite, "elite"),
+      fitness: args.fitness,
+      courses: parseNumberOption(args.courses, "courses"),
+      islands: parseNumberOption(args.islands, "islands"),
+      migrationInterval: parseNumberOption(args["migrate-every"], "migrate-every"),
+      migrants: parseNumberOption(args.migrants, "migrants"),
+      islandSettings: args["island-settings"] ? parseIslandSettings(args["island-settings"]) : undefined,
+      pareto: args.pareto === true,
+      curriculum: args.curriculum !== undefined,
+      curriculumThreshold: args.curriculum === true ? undefined : parseNumberOption(args.curriculum, "curriculum")
+    }),
+    difficulty: makeDifficulty({
+      stage: parseNumberOption(args.stage, "stage"),
+      speedRamp: parseNumberOption(args["speed-ramp"], "speed-ramp"),
+      gapRamp: parseNumberOption(args["gap-ramp"], "gap-ramp")
+    }),
+    brain: makeBrainLayout({
+      sensors: args.sensors,
+      hidden: args.hidden,
+      activation: args.activation
+    })
+  };
+  if (options.seed === undefined) {
+    options.seed = randomSeed();
+  }
+  return options;
+}
+
+async function train(args) {
+  const options = trainingOptions(args);
+  if (args.demo) {
+    const demos = parseDemonstrations(fs.readFileSync(args.demo, "utf8"));
+    const share = args["demo-share"] !== undefined ? parseNumberOption(args["demo-share"], "demo-share") : 0.2;
+    const count = Math.round(share * (options.popSize || POP_SIZE));
+    options.seedGenomes = demonstrationSeeds(demos, options.brain, count, options.seed);
+    console.log(`🎓 Seeding ${options.seedGenomes.length} genomes from ${args.demo} (${describeDemonstrations(demos)})`);
+  }
+  if (args.resume) {
+    // Everything but the number of generations comes from the checkpoint
+    const checkpoint = parseCheckpoint(fs.readFileSync(args.resume, "utf8"));
+    Object.assign(options, {
+      checkpoint: checkpoint,
+      seed: checkpoint.seed,
+      popSize: checkpoint.popSize,
+      level: checkpoint.level,
+      ga: checkpoint.ga,
+      difficulty: checkpoint.difficulty,
+      brain: checkpoint.layout
+    });
+  }
+  const outFile = args.out || "best.json";
+  const checkpointEvery = args["checkpoint-every"] !== undefined ? parseNumberOption(args["checkpoint-every"], "checkpoint-every") : CHECKPOINT_EVERY;
+
+  const history = options.checkpoint ? options.checkpoint.history.map(historyRow) : [];
+  const startedAt = Date.now();
+  let trainedEngine = null;
+  options.onGeneration = (stats, engine) => {
+    trainedEngine = engine;
+    history.push(historyRow(stats));
+    if (args.checkpoint && (stats.generation % checkpointEvery === 0 || stats.generation === (options.generations || GENERATIONS))) {
+      // Write then rename, so a crash mid-write leaves the previous checkpoint intact
+      fs.writeFileSync(`${args.checkpoint}.tmp`, JSON.stringify(engineCheckpoint(engine, "cli")));
+      fs.renameSync(`${args.checkpoint}.tmp`, args.checkpoint);
+    }
+  };
+
+  await runGA(options);
+  // The best genome of any generation at the final stage, not just the last generation's
+  const champion = trainedEngine ? trainedEngine.champion : options.checkpoint.champion;
+
+  const result = {
+    seed: options.seed,
+    popSize: options.popSize || POP_SIZE,
+    generations: options.generations || GENERATIONS,
+    level: options.level ? options.level.name : null,
+    brain: options.brain,
+    ga: options.ga,
+    difficulty: options.difficulty,
+    genome: champion.genome,
+    fitness: champion.fitness,
+    championGeneration: champion.generation,
+    robustness: null,
+    history: history
+  };
+
+  // Training courses against held-out ones
+  const testCourses = args["test-courses"] !== undefined ? parseNumberOption(args["test-courses"], "test-courses") : TEST_COURSES;
+  if (testCourses > 0 && trainedEngine) {
+    const testSeed = args["test-seed"] !== undefined ? parseNumberOption(args["test-seed"], "test-seed") : TEST_SEED;
+    result.robustness = engineRobustnessReport(trainedEngine, courseSeeds(testSeed, testCourses));
+    console.log(`🧪 Train ${describeCourseScores(result.robustness.train)}`);
+    console.log(`🧪 Test  ${describeCourseScores(result.robustness.test)}`);
+    console.log(`🧪 Fitness gap (train - test): ${formatFitness(result.robustness.gap, parseFitness(options.ga.fitness))}`);
+  }
+
+  fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  console.log(`💾 Saved champion (generation ${champion.generation}, fitness ${formatFitness(result.fitness, parseFitness(options.ga.fitness))}) to ${outFile} after ${seconds}s`);
+}
+
+// Train every optimizer with the same seed and settings on the same training courses, then play
+// each champion on the same test set
+async function compare(args) {
+  const options = trainingOptions(args);
+  if (args.courses === undefined) {
+    options.ga = makeGASettings(Object.assign({}, options.ga, { courses: COMPARE_COURSES }));
+  } else if (options.ga.courses === 1) {
+    console.log("⚠️ With --courses 1 every optimizer trains on its own courses; use 2 or more to train them on the same ones");
+  }
+  const names = typeof args.optimizers === "string" ? args.optimizers.split(",").map(name => name.trim()) : Object.keys(OPTIMIZERS);
+  const generations = options.generations || GENERATIONS;
+  const testSeed = args["test-seed"] !== undefined ? parseNumberOption(args["test-seed"], "test-seed") : TEST_SEED;
+  const testCourses = args["test-courses"] !== undefined ? parseNumberOption(args["test-courses"], "test-courses") : TEST_COURSES;
+  if (testCourses < 1) {
+    throw new Error("compare plays the champions on a test set: --test-courses must be 1 or more");
+  }
+  const testSeeds = courseSeeds(testSeed, testCourses);
+  // Settings for every optimizer, checked before any of them trains
+  const settings = names.map(name => makeGASettings(Object.assign({}, options.ga, { optimizer: name })));
+
+  console.log(`⚖️ Comparing ${names.length} optimizers: seed ${options.seed}, ${options.popSize || POP_SIZE} genomes, ${generations} generations, ${options.ga.courses} training course(s), ${testCourses} test courses`);
+  const results = [];
+  for (const [i, name] of names.entries()) {
+    const startedAt = Date.now();
+    const engine = new GAEngine(Object.assign({}, options, { ga: settings[i] }));
+    await engine.run(generations);
+    const robustness = engineRobustnessReport(engine, testSeeds);
+    results.push({
+      optimizer: name,
+      label: OPTIMIZERS[name].label,
+      seconds: (Date.now() - startedAt) / 1000,
+      genome: engine.champion.genome,
+      championGeneration: engine.champion.generation,
+      robustness: robustness,
+      best: engine.history.map(stats => stats.best)
+    });
+    console.log(`  ${OPTIMIZERS[name].label} done in ${results[results.length - 1].seconds.toFixed(1)}s`);
+  }
+
+  const fitness = parseFitness(options.ga.fitness);
+  const columns = ["Optimizer".padEnd(26), "Train mean".padStart(11), "Test mean".padStart(11), "Test median".padStart(12), "Test worst".padStart(11)];
+  console.log(`\n${columns.join("")}`);
+  for (const result of results) {
+    const { train, test } = result.robustness;
+    console.log([
+      result.label.padEnd(26),
+      formatFitness(train.fitness.mean, fitness).padStart(11),
+      formatFitness(test.fitness.mean, fitness).padStart(11),
+      `${test.survival.median.toFixed(2)}s`.padStart(12),
+      `${test.survival.worst.toFixed(2)}s`.padStart(11)
+    ].join(""));
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify({
+      seed: options.seed,
+      popSize: options.popSize || POP_SIZE,
+      generations: generations,
+      brain: options.brain,
+      ga: options.ga,
+      difficulty: options.difficulty,
+      testSeeds: testSeeds,
+      results: results
+    }, null, 2));
+    console.log(`💾 Saved the comparison to ${args.out}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0];
+
+  if (!command || command === "help" || args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  loadSimulation();
+
+  if (command === "train") {
+    await train(args);
+  } else if (command === "compare") {
+    await compare(args);
+  } else {
+    throw new Error(`Unknown command "${command}"`);
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+// High scores
+// The best interactive runs, kept in localStorage with separate tables for manual and AI play.
+// A run scores one point per obstacle it gets past; ties go to the longer distance.
+//
+//   { "manual": [{ "score": 12, "distance": 48.2, "time": 19.3, "course": "random", "date": "..." }, ...],
+//     "ai": [...] }
+
+const HIGH_SCORE_KEY = "geodash.highScores";
+const HIGH_SCORE_LIMIT = 5; // Entries kept per table
+
+// Score and distance (in metres, 100 px each) of a Game so far
+function runScore(game) {
+  return { score: game.obstaclesCleared, distance: game.distance / 100 };
+}
+
+// Saved tables, or empty ones if there are none (or they can't be read)
+function loadHighScores() {
+  try {
+    const tables = JSON.parse(localStorage.getItem(HIGH_SCORE_KEY));
+    if (tables && Array.isArray(tables.manual) && Array.isArray(tables.ai)) {
+      return tables;
+    }
+  } catch (err) {
+    console.log(`❌ Ignoring saved high scores: ${err.message}`);
+  }
+  return { manual: [], ai: [] };
+}
+
+function saveHighScores(tables) {
+  try {
+    localStorage.setItem(HIGH_SCORE_KEY, JSON.stringify(tables));
+  } catch (err) {
+    console.log(`❌ Could not save high scores: ${err.message}`);
+  }
+}
+
+// Add a run to the "manual" or "ai" table and save
+// Returns its place (1 = best), or 0 if it didn't make the table
+function recordHighScore(tables, kind, entry) {
+  const table = tables[kind];
+  table.push(entry);
+  table.sort((a, b) => b.score - a.score || b.distance - a.distance);
+  table.length = Math.min(table.length, HIGH_SCORE_LIMIT);
+  saveHighScores(tables);
+  return table.indexOf(entry) + 1;
+}
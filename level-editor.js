@@ -0,0 +1,482 @@
+// Level Editor
+// Place, drag, resize and delete obstacles on a scrolling timeline drawn on gameCanvas,
+// then test-play the level or export/import it as JSON (format in levels.js).
+//
+// The editor works in distance units: an obstacle's "at" is how far the course has scrolled
+// when it enters from the right edge. The view at scroll position s shows exactly what the
+// game looks like after travelling s pixels.
+
+const EDITOR_SNAP = 5;          // pixels
+const EDITOR_HANDLE_SIZE = 8;   // pixels
+const EDITOR_GAP_HIT_HEIGHT = 20; // Gaps are only a thin strip; give them a bigger click area
+const EDITOR_SCROLL_STEP = 100; // pixels per arrow key press
+
+// Editor state
+const editor = {
+  active: false,
+  level: newEditorLevel(),
+  scrollX: 0,
+  selected: null,  // Obstacle spec being edited
+  tool: "block",   // Obstacle type placed on click
+  drag: null       // { mode: "move" | "resize", spec, startX, startY, original }
+};
+
+// UI element references
+const editorUI = {
+  panel: null,
+  tools: null,
+  name: null,
+  importFile: null,
+  info: null
+};
+
+function newEditorLevel() {
+  return { name: "My Level", units: "distance", speed: obstacleSpeed, obstacles: [] };
+}
+
+function snap(value) {
+  return Math.round(value / EDITOR_SNAP) * EDITOR_SNAP;
+}
+
+// Initialize UI when DOM is loaded
+function initLevelEditor() {
+  editorUI.panel = document.getElementById('editor-panel');
+  editorUI.tools = document.getElementById('editorTools');
+  editorUI.name = document.getElementById('editorLevelName');
+  editorUI.importFile = document.getElementById('editorImportFile');
+  editorUI.info = document.getElementById('editorInfo');
+
+  if (!editorUI.panel) {
+    console.log("Level editor UI not found - editor disabled");
+    return;
+  }
+
+  // One tool button per obstacle type
+  for (const type of Object.keys(OBSTACLE_TYPES)) {
+    const button = document.createElement('button');
+    button.textContent = OBSTACLE_TYPES[type].label;
+    button.dataset.type = type;
+    button.addEventListener('click', () => setEditorTool(type));
+    editorUI.tools.appendChild(button);
+  }
+  setEditorTool(editor.tool);
+
+  document.getElementById('editorTestManual').addEventListener('click', () => testPlayLevel(false));
+  document.getElementById('editorTestAI').addEventListener('click', () => testPlayLevel(true));
+  document.getElementById('editorTrain').addEventListener('click', trainOnEditorLevel);
+  document.getElementById('editorExport').addEventListener('click', exportEditorLevel);
+  document.getElementById('editorImport').addEventListener('click', () => editorUI.importFile.click());
+  document.getElementById('editorClear').addEventListener('click', clearEditorLevel);
+  document.getElementById('editorClose').addEventListener('click', closeLevelEditor);
+  editorUI.importFile.addEventListener('change', importEditorLevel);
+  editorUI.name.addEventListener('input', () => {
+    editor.level.name = editorUI.name.value;
+  });
+
+  const openButton = document.getElementById('editorOpenBtn');
+  if (openButton) {
+    openButton.addEventListener('click', openLevelEditor);
+  }
+
+  const canvas = document.getElementById('gameCanvas');
+  canvas.addEventListener('mousedown', onEditorMouseDown);
+  window.addEventListener('mousemove', onEditorMouseMove);
+  window.addEventListener('mouseup', onEditorMouseUp);
+  canvas.addEventListener('contextmenu', onEditorContextMenu);
+  canvas.addEventListener('wheel', onEditorWheel, { passive: false });
+  document.addEventListener('keydown', onEditorKeyDown);
+  window.addEventListener('resize', () => {
+    if (editor.active) {
+      drawEditor();
+    }
+  });
+
+  console.log("✏️ Level editor initialized! Press 'E' to open it.");
+}
+
+function openLevelEditor() {
+  if (window.swarmVisualizer && window.swarmVisualizer.isTraining()) {
+    console.log("❌ Stop swarm training before opening the level editor.");
+    return;
+  }
+  editor.active = true;
+  editorUI.panel.hidden = false;
+  editorUI.name.value = editor.level.name;
+  if (editor.level.obstacles.length === 0) {
+    scrollEditorToStart();
+  }
+  drawEditor();
+  console.log("✏️ Level editor opened");
+}
+
+function closeLevelEditor() {
+  editor.active = false;
+  editor.drag = null;
+  editorUI.panel.hidden = true;
+  console.log("✏️ Level editor closed");
+}
+
+function setEditorTool(type) {
+  editor.tool = type;
+  for (const button of editorUI.tools.querySelectorAll('button')) {
+    button.classList.toggle('active', button.dataset.type === type);
+  }
+}
+
+// Editor level as a parsed level, ready for Game / the interactive game
+function buildEditorLevel() {
+  return parseLevel({
+    name: editor.level.name,
+    units: "distance",
+    speed: editor.level.speed,
+    obstacles: editor.level.obstacles
+  });
+}
+
+// Geometry
+
+function editorCanvas() {
+  return document.getElementById('gameCanvas');
+}
+
+// The editor works on the standard CANVAS_WIDTH x CANVAS_HEIGHT course, scaled to the canvas like
+// the game, so what is placed here plays the same in test play and training
+
+// Course rectangle of an obstacle spec at the current scroll position
+function editorObstacle(spec) {
+  const obstacle = createObstacle(spec, CANVAS_WIDTH, CANVAS_HEIGHT, editor.level.speed);
+  obstacle.x = spec.at + CANVAS_WIDTH - editor.scrollX;
+  return obstacle;
+}
+
+function editorHitRect(spec) {
+  const o = editorObstacle(spec);
+  if (spec.type === "gap") {
+    return { x: o.x, y: CANVAS_HEIGHT - EDITOR_GAP_HIT_HEIGHT, width: o.width, height: EDITOR_GAP_HIT_HEIGHT };
+  }
+  return { x: o.x, y: o.y, width: o.width, height: o.height };
+}
+
+// Resize handle: bottom-right for ceiling hazards (they hang down), top-right otherwise
+function editorHandleRect(spec) {
+  const rect = editorHitRect(spec);
+  const y = spec.type === "ceiling" ? rect.y + rect.height - EDITOR_HANDLE_SIZE : rect.y;
+  return { x: rect.x + rect.width - EDITOR_HANDLE_SIZE, y: y, width: EDITOR_HANDLE_SIZE, height: EDITOR_HANDLE_SIZE };
+}
+
+function pointInRect(x, y, rect) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+// Topmost obstacle spec under a point
+function editorHitTest(x, y) {
+  const specs = editor.level.obstacles;
+  for (let i = specs.length - 1; i >= 0; i--) {
+    if (pointInRect(x, y, editorHitRect(specs[i]))) {
+      return specs[i];
+    }
+  }
+  return null;
+}
+
+// Mouse position in course coordinates
+function editorMousePos(event) {
+  const canvas = editorCanvas();
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left - canvas.clientLeft) * (CANVAS_WIDTH / canvas.clientWidth),
+    y: (event.clientY - rect.top - canvas.clientTop) * (CANVAS_HEIGHT / canvas.clientHeight)
+  };
+}
+
+// Mouse and keyboard handlers
+
+function onEditorMouseDown(event) {
+  if (!editor.active || event.button !== 0) {
+    return;
+  }
+  const pos = editorMousePos(event);
+
+  let mode = "move";
+  let spec = null;
+  if (editor.selected && pointInRect(pos.x, pos.y, editorHandleRect(editor.selected))) {
+    spec = editor.selected;
+    mode = "resize";
+  } else {
+    spec = editorHitTest(pos.x, pos.y);
+  }
+
+  // Empty spot: place a new obstacle of the current tool, centred on the click
+  if (!spec) {
+    spec = fillObstacleSpec({ type: editor.tool, at: 0 });
+    spec.at = Math.max(0, snap(pos.x - CANVAS_WIDTH + editor.scrollX - spec.width / 2));
+    editor.level.obstacles.push(spec);
+  }
+
+  editor.selected = spec;
+  editor.drag = { mode: mode, spec: spec, startX: pos.x, startY: pos.y, original: Object.assign({}, spec) };
+  drawEditor();
+}
+
+function onEditorMouseMove(event) {
+  if (!editor.active || !editor.drag) {
+    return;
+  }
+  const pos = editorMousePos(event);
+  const drag = editor.drag;
+  const spec = drag.spec;
+  const original = drag.original;
+  const dx = pos.x - drag.startX;
+  const dy = pos.y - drag.startY;
+
+  if (drag.mode === "move") {
+    spec.at = Math.max(0, snap(original.at + dx));
+    // Obstacles stay inside the course height, as parseLevel requires
+    if (spec.type === "floating") {
+      spec.elevation = Math.min(CANVAS_HEIGHT - spec.height, Math.max(0, snap(original.elevation - dy)));
+    }
+  } else {
+    spec.width = Math.max(EDITOR_SNAP, snap(original.width + dx));
+    if (spec.type === "ceiling") {
+      spec.clearance = Math.min(CANVAS_HEIGHT - EDITOR_SNAP, Math.max(0, snap(original.clearance - dy)));
+    } else if (spec.height !== undefined) {
+      spec.height = Math.min(CANVAS_HEIGHT - (spec.elevation || 0), Math.max(EDITOR_SNAP, snap(original.height - dy)));
+    }
+  }
+  drawEditor();
+}
+
+function onEditorMouseUp() {
+  if (!editor.active || !editor.drag) {
+    return;
+  }
+  editor.drag = null;
+  editor.level.obstacles.sort((a, b) => a.at - b.at);
+  drawEditor();
+}
+
+// Right-click deletes
+function onEditorContextMenu(event) {
+  if (!editor.active) {
+    return;
+  }
+  event.preventDefault();
+  const pos = editorMousePos(event);
+  const spec = editorHitTest(pos.x, pos.y);
+  if (spec) {
+    deleteEditorObstacle(spec);
+  }
+}
+
+function onEditorWheel(event) {
+  if (!editor.active) {
+    return;
+  }
+  event.preventDefault();
+  scrollEditor(event.deltaX + event.deltaY);
+}
+
+function onEditorKeyDown(event) {
+  // 'E' opens and closes the editor
+  if ((event.key === "e" || event.key === "E") && !isTypingInField(event)) {
+    if (editor.active) {
+      closeLevelEditor();
+    } else {
+      openLevelEditor();
+    }
+    return;
+  }
+
+  if (!editor.active || isTypingInField(event)) {
+    return;
+  }
+  if ((event.key === "Delete" || event.key === "Backspace") && editor.selected) {
+    event.preventDefault();
+    deleteEditorObstacle(editor.selected);
+  } else if (event.key === "ArrowLeft") {
+    scrollEditor(-EDITOR_SCROLL_STEP);
+  } else if (event.key === "ArrowRight") {
+    scrollEditor(EDITOR_SCROLL_STEP);
+  } else if (event.key === "Escape") {
+    editor.selected = null;
+    drawEditor();
+  }
+}
+
+// Put the level start (at = 0) on the left edge of the canvas
+function scrollEditorToStart() {
+  editor.scrollX = CANVAS_WIDTH;
+}
+
+function scrollEditor(amount) {
+  editor.scrollX = Math.max(0, editor.scrollX + amount);
+  drawEditor();
+}
+
+function deleteEditorObstacle(spec) {
+  editor.level.obstacles = editor.level.obstacles.filter(s => s !== spec);
+  if (editor.selected === spec) {
+    editor.selected = null;
+  }
+  drawEditor();
+}
+
+// Toolbar actions
+
+function clearEditorLevel() {
+  editor.level.obstacles = [];
+  editor.selected = null;
+  scrollEditorToStart();
+  drawEditor();
+}
+
+// Close the editor and play the level in the interactive game
+function testPlayLevel(useAI) {
+  if (editor.level.obstacles.length === 0) {
+    console.log("❌ Place some obstacles first.");
+    return;
+  }
+  const level = buildEditorLevel();
+  closeLevelEditor();
+  if (window.geoDashGame) {
+    window.geoDashGame.playLevel(level, useAI);
+  }
+}
+
+// Hand the level to the swarm panel as its training course
+function trainOnEditorLevel() {
+  if (editor.level.obstacles.length === 0) {
+    console.log("❌ Place some obstacles first.");
+    return;
+  }
+  const level = buildEditorLevel();
+  closeLevelEditor();
+  if (window.swarmVisualizer) {
+    window.swarmVisualizer.addLevel(level);
+    console.log(`🧬 "${level.name}" selected as the swarm training course`);
+  }
+}
+
+function exportEditorLevel() {
+  const level = buildEditorLevel();
+  const fileName = (level.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'level') + '.json';
+  downloadFile(fileName, JSON.stringify(level, null, 2));
+}
+
+// Load a level file; time-based levels are converted to distance
+function importEditorLevel() {
+  const file = editorUI.importFile.files[0];
+  editorUI.importFile.value = '';
+  if (!file) {
+    return;
+  }
+  file.text().then(text => {
+    const level = parseLevel(text);
+    const scale = level.units === "time" ? level.speed : 1;
+    editor.level = {
+      name: level.name,
+      units: "distance",
+      speed: level.speed,
+      obstacles: level.obstacles.map(spec => Object.assign({}, spec, { at: spec.at * scale }))
+    };
+    editorUI.name.value = editor.level.name;
+    editor.selected = null;
+    scrollEditorToStart();
+    drawEditor();
+    console.log(`📂 Imported level "${level.name}" (${level.obstacles.length} obstacles)`);
+  }).catch(err => {
+    console.log(`❌ Bad level file: ${err.message}`);
+  });
+}
+
+// Rendering
+
+function drawEditor() {
+  const canvas = editorCanvas();
+  const ctx = canvas.getContext('2d');
+  const width = CANVAS_WIDTH;
+  const height = CANVAS_HEIGHT;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.save();
+  ctx.scale(canvas.width / width, canvas.height / height);
+
+  // Grid and distance ruler every 50px, labelled every 200px
+  ctx.font = "10px Arial";
+  const first = Math.floor((editor.scrollX - width) / 50) * 50;
+  for (let d = first; d <= editor.scrollX; d += 50) {
+    const x = d + width - editor.scrollX;
+    const labelled = d % 200 === 0;
+    ctx.strokeStyle = labelled ? "#ccc" : "#eee";
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+    if (labelled && d >= 0) {
+      ctx.fillStyle = "#888";
+      ctx.fillText(`${d}px / ${(d / editor.level.speed).toFixed(1)}s`, x + 2, 12);
+    }
+  }
+
+  // Level start (at = 0)
+  const startX = width - editor.scrollX;
+  if (startX >= 0 && startX <= width) {
+    ctx.strokeStyle = "green";
+    ctx.beginPath();
+    ctx.moveTo(startX, 0);
+    ctx.lineTo(startX, height);
+    ctx.stroke();
+  }
+
+  // Player start position for reference
+  ctx.strokeStyle = "blue";
+  ctx.strokeRect(width / 2 - 10, height - 20, 20, 20);
+
+  // Obstacles
+  for (const spec of editor.level.obstacles) {
+    const obstacle = editorObstacle(spec);
+    if (obstacle.x > width || obstacle.x + obstacle.width < 0) {
+      continue;
+    }
+    obstacle.draw(ctx);
+
+    if (spec === editor.selected) {
+      const rect = editorHitRect(spec);
+      const handle = editorHandleRect(spec);
+      ctx.strokeStyle = "#007acc";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.fillStyle = "#007acc";
+      ctx.fillRect(handle.x, handle.y, handle.width, handle.height);
+      ctx.lineWidth = 1;
+    }
+  }
+
+  // Help overlay
+  ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.fillRect(10, height - 60, 330, 50);
+  ctx.fillStyle = "white";
+  ctx.font = "12px Arial";
+  ctx.fillText("Click: place • Drag: move • Corner: resize", 20, height - 42);
+  ctx.fillText("Right-click/Del: delete • Wheel/←→: scroll • E: exit", 20, height - 22);
+  ctx.restore();
+
+  const selected = editor.selected;
+  editorUI.info.textContent = selected
+    ? `${OBSTACLE_TYPES[selected.type].label} at ${selected.at}px, ${selected.width}px wide`
+    : `${editor.level.obstacles.length} obstacles | scroll ${editor.scrollX}px`;
+}
+
+// Initialize when page loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initLevelEditor);
+} else {
+  initLevelEditor();
+}
+
+// Export functions for the main game
+window.levelEditor = {
+  isActive: () => editor.active,
+  open: openLevelEditor,
+  close: closeLevelEditor
+};
@@ -0,0 +1,204 @@
+// Level files and obstacle types
+//
+// A level is JSON describing when each obstacle enters from the right edge:
+//
+//   {
+//     "name": "Warm-up",
+//     "units": "time",          // "time": "at" is seconds, "distance": "at" is pixels travelled
+//     "speed": 250,             // obstacle speed in pixels per second (optional)
+//     "obstacles": [
+//       { "type": "block", "at": 1.0 },
+//       { "type": "spike", "at": 2.2, "width": 30 },
+//       { "type": "pillar", "at": 3.5, "height": 80 },
+//       { "type": "floating", "at": 5.0, "elevation": 40 },
+//       { "type": "ceiling", "at": 6.5, "clearance": 45 },
+//       { "type": "gap", "at": 8.0, "width": 70 }
+//     ]
+//   }
+//
+// width/height default per type. Floating blocks hover "elevation" px above the ground,
+// ceiling hazards hang from the top leaving "clearance" px above the ground,
+// and gaps are holes in the ground the player falls through. Obstacles must fit in the
+// course height: elevation + height at most CANVAS_HEIGHT, clearance below it.
+// Solid types (blocks, pillars, floating blocks) can be landed on and run across;
+// only running into their side kills. Spikes and ceiling hazards kill on any touch.
+
+const GROUND_MARK_HEIGHT = 4; // Gaps are drawn as a dark strip this tall at the bottom
+
+const OBSTACLE_TYPES = {
+  block: {
+    label: "Block",
+    width: 25, height: 25, color: "red", solid: true,
+    place: (spec, canvasHeight) => ({ y: canvasHeight - spec.height, height: spec.height })
+  },
+  spike: {
+    label: "Spike",
+    width: 25, height: 25, color: "#c0392b",
+    place: (spec, canvasHeight) => ({ y: canvasHeight - spec.height, height: spec.height })
+  },
+  pillar: {
+    label: "Tall pillar",
+    width: 25, height: 90, color: "#8e44ad", solid: true,
+    place: (spec, canvasHeight) => ({ y: canvasHeight - spec.height, height: spec.height })
+  },
+  floating: {
+    label: "Floating block",
+    width: 60, height: 20, elevation: 45, color: "#e67e22", solid: true,
+    place: (spec, canvasHeight) => ({ y: canvasHeight - spec.elevation - spec.height, height: spec.height })
+  },
+  ceiling: {
+    label: "Ceiling hazard",
+    width: 40, clearance: 45, color: "#555",
+    place: (spec, canvasHeight) => ({ y: 0, height: canvasHeight - spec.clearance })
+  },
+  gap: {
+    label: "Gap in the ground",
+    width: 60, color: "#222",
+    place: (spec, canvasHeight) => ({ y: canvasHeight - GROUND_MARK_HEIGHT, height: GROUND_MARK_HEIGHT })
+  }
+};
+
+// Check a level (object or JSON string) and fill in per-type defaults
+function parseLevel(data) {
+  const level = typeof data === "string" ? JSON.parse(data) : data;
+  if (!level || !Array.isArray(level.obstacles)) {
+    throw new Error("Level must have an \"obstacles\" array");
+  }
+
+  const units = level.units || "time";
+  if (units !== "time" && units !== "distance") {
+    throw new Error(`Level units must be "time" or "distance", got "${units}"`);
+  }
+  const speed = level.speed !== undefined ? level.speed : obstacleSpeed;
+  if (!(speed > 0)) {
+    throw new Error(`Level speed must be positive, got ${level.speed}`);
+  }
+
+  const obstacles = level.obstacles.map((spec, i) => {
+    if (!OBSTACLE_TYPES[spec.type]) {
+      throw new Error(`Obstacle ${i}: unknown type "${spec.type}" (use ${Object.keys(OBSTACLE_TYPES).join(", ")})`);
+    }
+    if (typeof spec.at !== "number" || spec.at < 0) {
+      throw new Error(`Obstacle ${i}: "at" must be a number >= 0`);
+    }
+    const filled = fillObstacleSpec(spec);
+    for (const key of ["width", "height"]) {
+      if (filled[key] !== undefined && !(typeof filled[key] === "number" && filled[key] > 0)) {
+        throw new Error(`Obstacle ${i}: "${key}" must be a number > 0`);
+      }
+    }
+    for (const key of ["elevation", "clearance"]) {
+      if (filled[key] !== undefined && !(typeof filled[key] === "number" && filled[key] >= 0)) {
+        throw new Error(`Obstacle ${i}: "${key}" must be a number >= 0`);
+      }
+    }
+    // Levels are played on the default course size
+    if ((filled.elevation || 0) + (filled.height || 0) > CANVAS_HEIGHT) {
+      throw new Error(`Obstacle ${i}: "elevation" plus "height" must fit in the ${CANVAS_HEIGHT}px course height`);
+    }
+    if (filled.clearance !== undefined && filled.clearance >= CANVAS_HEIGHT) {
+      throw new Error(`Obstacle ${i}: "clearance" must be less than the ${CANVAS_HEIGHT}px course height`);
+    }
+    return filled;
+  });
+  obstacles.sort((a, b) => a.at - b.at);
+
+  return {
+    name: level.name || "Untitled level",
+    units: units,
+    speed: speed,
+    obstacles: obstacles
+  };
+}
+
+// Copy of a level entry with the type's default size/elevation/clearance filled in
+function fillObstacleSpec(spec) {
+  const type = OBSTACLE_TYPES[spec.type];
+  const filled = { type: spec.type, at: spec.at };
+  for (const key of ["width", "height", "elevation", "clearance"]) {
+    if (type[key] !== undefined) {
+      filled[key] = spec[key] !== undefined ? spec[key] : type[key];
+    }
+  }
+  return filled;
+}
+
+// Build the Obstacle for one level entry at the right edge of the canvas
+function createObstacle(spec, canvasWidth, canvasHeight, speed) {
+  const type = OBSTACLE_TYPES[spec.type];
+  const placed = type.place(spec, canvasHeight);
+  return new Obstacle(canvasWidth, placed.y, spec.width, placed.height, speed, type.color, spec.type);
+}
+
+// Course that spawns a level's obstacles on schedule
+class LevelCourse {
+  constructor(level) {
+    this.level = level;
+    this.speed = level.speed;
+    this.elapsed = 0;    // seconds
+    this.travelled = 0;  // pixels
+    this.nextIndex = 0;
+  }
+
+  // Obstacles that enter the screen during this step
+  update(dt, canvasWidth, canvasHeight) {
+    this.elapsed += dt;
+    this.travelled += this.speed * dt;
+    const position = this.level.units === "distance" ? this.travelled : this.elapsed;
+
+    const spawned = [];
+    const entries = this.level.obstacles;
+    while (this.nextIndex < entries.length && entries[this.nextIndex].at <= position) {
+      spawned.push(createObstacle(entries[this.nextIndex], canvasWidth, canvasHeight, this.speed));
+      this.nextIndex++;
+    }
+    return spawned;
+  }
+
+  // Obstacle speed (how fast the world scrolls past the player)
+  scrollSpeed() {
+    return this.speed;
+  }
+
+  // Every obstacle has been spawned
+  isFinished() {
+    return this.nextIndex >= this.level.obstacles.length;
+  }
+}
+
+// Levels that ship with the game
+const BUILTIN_LEVELS = [
+  parseLevel({
+    name: "Warm-up",
+    units: "time",
+    obstacles: [
+      { type: "block", at: 1.0 },
+      { type: "block", at: 2.5 },
+      { type: "spike", at: 4.0 },
+      { type: "block", at: 5.2 },
+      { type: "spike", at: 6.4 },
+      { type: "pillar", at: 8.0, height: 50 },
+      { type: "block", at: 9.5 },
+      { type: "spike", at: 10.7 },
+      { type: "pillar", at: 12.5 }
+    ]
+  }),
+  parseLevel({
+    name: "Mixed Bag",
+    units: "time",
+    obstacles: [
+      { type: "block", at: 1.0 },
+      { type: "spike", at: 2.2, width: 30 },
+      { type: "pillar", at: 3.5, height: 80 },
+      { type: "floating", at: 5.0, elevation: 40 },
+      { type: "gap", at: 6.5, width: 70 },
+      { type: "ceiling", at: 8.0, clearance: 45 },
+      { type: "spike", at: 9.3 },
+      { type: "gap", at: 10.6 },
+      { type: "floating", at: 12.0 },
+      { type: "block", at: 12.9 },
+      { type: "ceiling", at: 14.5 },
+      { type: "pillar", at: 16.0 }
+    ]
+  })
+];
@@ -0,0 +1,185 @@
+// Genome library panel
+// Lists the saved genomes (see genome-library.js) with their metadata. From here a genome can be
+// played by the game's AI, ticked to seed the next swarm, exported, or deleted; champions can be
+// saved from the game's AI or the swarm, and files imported. "L" toggles the panel.
+
+// UI element references
+const libraryUI = {
+  panel: null,
+  name: null,
+  list: null,
+  info: null,
+  file: null
+};
+
+let libraryEntries = loadGenomeLibrary();
+const librarySelection = new Set(); // ids ticked for seeding the swarm and for export
+
+function initLibraryPanel() {
+  libraryUI.panel = document.getElementById('library-panel');
+  libraryUI.name = document.getElementById('libraryName');
+  libraryUI.list = document.getElementById('libraryList');
+  libraryUI.info = document.getElementById('libraryInfo');
+  libraryUI.file = document.getElementById('libraryFile');
+
+  if (!libraryUI.panel) {
+    return;
+  }
+
+  document.getElementById('libraryOpenBtn').addEventListener('click', toggleLibraryPanel);
+  document.getElementById('libraryClose').addEventListener('click', toggleLibraryPanel);
+  document.getElementById('librarySaveAI').addEventListener('click', saveCurrentAI);
+  document.getElementById('librarySaveSwarm').addEventListener('click', saveSwarmBest);
+  document.getElementById('libraryExport').addEventListener('click', exportLibrary);
+  document.getElementById('libraryImport').addEventListener('click', () => libraryUI.file.click());
+  libraryUI.file.addEventListener('change', importLibrary);
+  document.addEventListener('keydown', event => {
+    if (isTypingInField(event) || (window.levelEditor && window.levelEditor.isActive())) {
+      return;
+    }
+    if (event.key === 'l' || event.key === 'L') {
+      toggleLibraryPanel();
+    }
+  });
+
+  renderLibrary();
+}
+
+function toggleLibraryPanel() {
+  libraryUI.panel.hidden = !libraryUI.panel.hidden;
+  if (!libraryUI.panel.hidden) {
+    renderLibrary();
+  }
+}
+
+// One row per genome: tick box, name and metadata, play and delete buttons
+function renderLibrary() {
+  libraryUI.list.innerHTML = '';
+  if (libraryEntries.length === 0) {
+    libraryUI.list.textContent = 'No saved genomes yet';
+  }
+  for (const entry of libraryEntries) {
+    const row = document.createElement('div');
+    row.className = 'library-entry';
+
+    const tick = document.createElement('input');
+    tick.type = 'checkbox';
+    tick.checked = librarySelection.has(entry.id);
+    tick.title = 'Seed the next swarm with this genome (and include it in exports)';
+    tick.addEventListener('change', () => {
+      if (tick.checked) {
+        librarySelection.add(entry.id);
+      } else {
+        librarySelection.delete(entry.id);
+      }
+    });
+
+    const text = document.createElement('span');
+    text.textContent = ` ${entry.name} `;
+    text.title = `${entry.source}, saved ${entry.date}`;
+    const details = document.createElement('div');
+    details.className = 'library-details';
+    details.textContent = describeLibraryEntry(entry);
+
+    const play = document.createElement('button');
+    play.textContent = '▶';
+    play.title = 'Let the AI play this genome';
+    play.addEventListener('click', () => {
+      window.geoDashGame.useGenome({ name: `📚 ${entry.name}`, genome: entry.genome, layout: entry.layout, entry: entry });
+    });
+
+    const remove = document.createElement('button');
+    remove.textContent = '🗑️';
+    remove.title = 'Delete from the library';
+    remove.addEventListener('click', () => {
+      libraryEntries = libraryEntries.filter(e => e !== entry);
+      librarySelection.delete(entry.id);
+      saveGenomeLibrary(libraryEntries);
+      renderLibrary();
+    });
+
+    row.append(tick, text, play, remove, details);
+    libraryUI.list.appendChild(row);
+  }
+}
+
+// Add a genome (library metadata, see libraryEntryFromEngine) under the name typed in the panel
+function addToLibrary(data, defaultName) {
+  try {
+    const entry = makeLibraryEntry(Object.assign({}, data, { id: null, name: libraryUI.name.value.trim() || defaultName }));
+    libraryEntries.push(entry);
+    saveGenomeLibrary(libraryEntries);
+    libraryUI.name.value = '';
+    libraryUI.info.textContent = `💾 Saved "${entry.name}"`;
+    console.log(`📚 Saved "${entry.name}" to the genome library`);
+    renderLibrary();
+  } catch (err) {
+    libraryUI.info.textContent = `❌ ${err.message}`;
+  }
+}
+
+function saveCurrentAI() {
+  const ai = window.geoDashGame.getAI();
+  if (!ai.genome) {
+    libraryUI.info.textContent = 'No AI chosen yet - press A or Shift+A first';
+    return;
+  }
+  addToLibrary(Object.assign({}, ai.entry, { genome: ai.genome, layout: ai.layout }), ai.name.replace(/^📚 /, ''));
+}
+
+function saveSwarmBest() {
+  const engine = window.swarmVisualizer ? window.swarmVisualizer.getEngine() : null;
+  if (!engine || !engine.bestGenome) {
+    libraryUI.info.textContent = 'Train the swarm for a generation first';
+    return;
+  }
+  addToLibrary(libraryEntryFromEngine(engine, 'swarm'), `Swarm seed ${engine.seed} gen ${engine.generation}`);
+}
+
+// Ticked genomes, or every genome when none are ticked
+function exportLibrary() {
+  const ticked = libraryEntries.filter(entry => librarySelection.has(entry.id));
+  const entries = ticked.length > 0 ? ticked : libraryEntries;
+  downloadFile('genomes.json', JSON.stringify(genomeLibraryFile(entries), null, 2));
+}
+
+// Library files, single genomes and trainer output files; genomes already in the library are skipped
+function importLibrary() {
+  const file = libraryUI.file.files[0];
+  libraryUI.file.value = '';
+  if (!file) {
+    return;
+  }
+  file.text().then(text => {
+    const known = new Set(libraryEntries.map(entry => entry.id));
+    const added = parseGenomeLibrary(text).filter(entry => !known.has(entry.id));
+    libraryEntries.push(...added);
+    saveGenomeLibrary(libraryEntries);
+    libraryUI.info.textContent = `📂 Imported ${added.length} genome(s)`;
+    renderLibrary();
+  }).catch(err => {
+    libraryUI.info.textContent = `❌ Bad genome file: ${err.message}`;
+  });
+}
+
+// Ticked genomes that fit a brain layout, for seeding a population
+function librarySeedGenomes(layout) {
+  const ticked = libraryEntries.filter(entry => librarySelection.has(entry.id));
+  const fitting = ticked.filter(entry => describeBrainLayout(entry.layout) === describeBrainLayout(layout));
+  if (fitting.length < ticked.length) {
+    console.log(`❌ ${ticked.length - fitting.length} ticked genome(s) skipped: their brain isn't ${describeBrainLayout(layout)}`);
+  }
+  return fitting.map(entry => entry.genome);
+}
+
+// Initialize when page loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initLibraryPanel);
+} else {
+  initLibraryPanel();
+}
+
+window.genomeLibrary = {
+  getEntries: () => libraryEntries,
+  getSeedGenomes: librarySeedGenomes
+};
@@ -0,0 +1,353 @@
+// Optimizers
+// The genetic algorithm (GAEngine.breed) is one way to turn a scored population into the next one;
+// these are others to compare it against, chosen with the GA setting "optimizer". Each plugs into
+// the same engine, evaluators and courses: next(scored, engine) gets the population scored and
+// sorted best-first and returns the next population. What it keeps between generations lives in
+// engine.optimizerState as plain data, so checkpoints can hold it.
+
+const ES_INITIAL_SIGMA = 0.3;   // Step size of the first ES parents
+const ES_SIGMA_MIN = 0.001;
+const ES_SIGMA_MAX = 1;
+const CMA_INITIAL_SIGMA = 0.3;
+const CMA_SIGMA_MAX = 2;         // GENE_LIMIT; larger steps would only land on the clamp
+
+// CMA-ES eigendecomposition of each engine's covariance, { B, D }, as of the last time it was decomposed.
+// The state keeps the matrix it was taken from, so checkpoints leave it out and a resumed run
+// decomposes that same matrix again.
+const cmaEigen = new WeakMap();
+
+const OPTIMIZERS = {
+  ga: {
+    label: "Genetic algorithm",
+    next: null  // GAEngine breeds (and migrates between islands) itself
+  },
+
+  // (μ,λ): μ = eliteFraction of the population are parents, every genome of the next population is offspring
+  esComma: {
+    label: "(μ,λ) evolution strategy",
+    next: (scored, engine) => nextEvolutionStrategy(scored, engine, false)
+  },
+
+  // (μ+λ): the parents also go into the next population unchanged and are scored again with their offspring
+  esPlus: {
+    label: "(μ+λ) evolution strategy",
+    next: (scored, engine) => nextEvolutionStrategy(scored, engine, true)
+  },
+
+  cmaes: {
+    label: "CMA-ES",
+    next: nextCMAES
+  },
+
+  // Baseline: the best genome carries over, the rest are new random genomes
+  random: {
+    label: "Random search",
+    next: (scored, engine) => [[...scored[0].genome]].concat(
+      Array.from({length: engine.popSize - 1}, () => randGenome(engine.rng, engine.layout)))
+  }
+};
+
+// "GA, adaptive mutation" or the optimizer's label
+function describeOptimizer(settings) {
+  return settings.optimizer === "ga" ? `GA, ${settings.mutation} mutation` : OPTIMIZERS[settings.optimizer].label;
+}
+
+// Evolution strategy with self-adaptive step sizes: every genome carries its own step size, which
+// its offspring inherit times a log-normal factor before using it to mutate every gene
+function nextEvolutionStrategy(scored, engine, plus) {
+  // Step sizes are kept in population order; scored genomes are the population's own arrays
+  const sigmas = engine.optimizerState ? engine.optimizerState.sigmas : [];
+  const sigmaOf = new Map(engine.population.map((genome, i) => [genome, sigmas[i] || ES_INITIAL_SIGMA]));
+  const parents = scored.slice(0, eliteCountFor(engine.popSize, engine.settings)).map(s => ({
+    genome: s.genome,
+    sigma: sigmaOf.get(s.genome) || ES_INITIAL_SIGMA
+  }));
+
+  const tau = 1 / Math.sqrt(2 * parents[0].genome.length); // Learning rate of the step sizes
+  const next = plus ? parents.map(parent => ({ genome: [...parent.genome], sigma: parent.sigma })) : [];
+  while (next.length < engine.popSize) {
+    const parent = parents[Math.floor(engine.rng.random() * parents.length)];
+    const sigma = Math.max(ES_SIGMA_MIN, Math.min(ES_SIGMA_MAX, parent.sigma * Math.exp(tau * randn(engine.rng))));
+    next.push({ genome: parent.genome.map(gene => clampGene(gene + sigma * randn(engine.rng))), sigma: sigma });
+  }
+
+  engine.optimizerState = { sigmas: next.map(child => child.sigma) };
+  return next.map(child => child.genome);
+}
+
+// CMA-ES (Hansen's tutorial defaults): samples the population from N(mean, sigma² C) and moves the
+// mean, step size and covariance towards the best half. The first generation (random or seeded)
+// only sets the starting mean. Like the tutorial, C is only decomposed every few generations, the
+// more rarely the more genes there are; in between the last decomposition is used.
+function nextCMAES(scored, engine) {
+  const n = scored[0].genome.length;
+  const p = cmaParameters(n, engine.popSize);
+  const best = scored.slice(0, p.mu).map(s => s.genome);
+  const weightedMean = Array.from({length: n}, (_, j) => best.reduce((sum, genome, i) => sum + p.weights[i] * genome[j], 0));
+
+  let state = engine.optimizerState;
+  let eigen = cmaEigen.get(engine);
+  if (!state) {
+    state = {
+      mean: weightedMean,
+      sigma: CMA_INITIAL_SIGMA,
+      C: Array.from({length: n}, (_, i) => Array.from({length: i + 1}, (_, j) => i === j ? 1 : 0)), // Lower triangle
+      pc: new Array(n).fill(0),
+      ps: new Array(n).fill(0),
+      updates: 0,
+      decomposedAt: 0,   // Update count when C was last decomposed
+      decomposedC: null  // C as it was then, or null while that is the current C
+    };
+    eigen = decomposeCovariance(state.C);
+  } else {
+    eigen = eigen || decomposeCovariance(state.decomposedC || state.C);
+    state = cmaUpdate(state, eigen, best, weightedMean, p);
+    if (state.updates - state.decomposedAt > p.eigenInterval) {
+      eigen = decomposeCovariance(state.C);
+      state.decomposedAt = state.updates;
+      state.decomposedC = null;
+    }
+  }
+
+  // Sample: mean + sigma * B * D * z, z ~ N(0, I)
+  const population = [];
+  for (let k = 0; k < engine.popSize; k++) {
+    const scaled = eigen.D.map(d => d * randn(engine.rng));
+    population.push(state.mean.map((m, i) =>
+      clampGene(m + state.sigma * eigen.B[i].reduce((sum, b, j) => sum + b * scaled[j], 0))));
+  }
+  engine.optimizerState = state;
+  cmaEigen.set(engine, eigen);
+  return population;
+}
+
+// Strategy parameters for n genes and lambda samples per generation
+function cmaParameters(n, lambda) {
+  const mu = Math.max(1, Math.floor(lambda / 2));
+  const raw = Array.from({length: mu}, (_, i) => Math.log(mu + 0.5) - Math.log(i + 1));
+  const total = raw.reduce((sum, w) => sum + w, 0);
+  const weights = raw.map(w => w / total);
+  const muEff = 1 / weights.reduce((sum, w) => sum + w * w, 0);
+  const cs = (muEff + 2) / (n + muEff + 5);
+  const c1 = 2 / ((n + 1.3) * (n + 1.3) + muEff);
+  const cmu = Math.min(1 - c1, 2 * (muEff - 2 + 1 / muEff) / ((n + 2) * (n + 2) + muEff));
+  return {
+    mu: mu,
+    weights: weights,
+    muEff: muEff,
+    cs: cs,
+    ds: 1 + 2 * Math.max(0, Math.sqrt((muEff - 1) / (n + 1)) - 1) + cs,
+    cc: (4 + muEff / n) / (n + 4 + 2 * muEff / n),
+    c1: c1,
+    cmu: cmu,
+    chiN: Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n)),
+    eigenInterval: 1 / ((c1 + cmu) * n * 10)  // Generations between decompositions of C
+  };
+}
+
+// One CMA-ES update from the best genomes of a generation sampled from `state` and `eigen`
+// (the decomposition of C it sampled with); returns the new state
+function cmaUpdate(state, eigen, best, newMean, p) {
+  const n = newMean.length;
+  const ys = best.map(genome => genome.map((gene, i) => (gene - state.mean[i]) / state.sigma));
+  const yw = newMean.map((m, i) => (m - state.mean[i]) / state.sigma);
+
+  // C^-1/2 * yw = B * D^-1 * B^T * yw
+  const rotated = eigen.B[0].map((_, j) => eigen.B.reduce((sum, row, i) => sum + row[j] * yw[i], 0) / eigen.D[j]);
+  const whitened = eigen.B.map(row => row.reduce((sum, b, j) => sum + b * rotated[j], 0));
+
+  const ps = state.ps.map((v, i) => (1 - p.cs) * v + Math.sqrt(p.cs * (2 - p.cs) * p.muEff) * whitened[i]);
+  const psNorm = Math.sqrt(ps.reduce((sum, v) => sum + v * v, 0));
+  const updates = state.updates + 1;
+  const hs = psNorm / Math.sqrt(1 - Math.pow(1 - p.cs, 2 * updates)) < (1.4 + 2 / (n + 1)) * p.chiN ? 1 : 0;
+  const pc = state.pc.map((v, i) => (1 - p.cc) * v + hs * Math.sqrt(p.cc * (2 - p.cc) * p.muEff) * yw[i]);
+
+  // C is symmetric, so only its lower triangle is kept (row i holds columns 0..i)
+  const C = state.C.map((row, i) => row.map((c, j) => {
+    const rankMu = ys.reduce((sum, y, k) => sum + p.weights[k] * y[i] * y[j], 0);
+    return (1 - p.c1 - p.cmu) * c + p.c1 * (pc[i] * pc[j] + (1 - hs) * p.cc * (2 - p.cc) * c) + p.cmu * rankMu;
+  }));
+
+  return {
+    mean: newMean,
+    sigma: Math.min(CMA_SIGMA_MAX, state.sigma * Math.exp((p.cs / p.ds) * (psNorm / p.chiN - 1))),
+    C: C,
+    pc: pc,
+    ps: ps,
+    updates: updates,
+    decomposedAt: state.decomposedAt,
+    decomposedC: state.decomposedC || state.C
+  };
+}
+
+// B (eigenvectors as columns) and D (square roots of the eigenvalues) of a covariance matrix
+// given by its lower triangle
+function decomposeCovariance(C) {
+  const eigen = symmetricEigen(C.map((_, i) => C.map((row, j) => j <= i ? C[i][j] : row[i])));
+  return { B: eigen.vectors, D: eigen.values.map(v => Math.sqrt(Math.max(v, 1e-20))) };
+}
+
+// Eigenvalues and eigenvectors (the columns of `vectors`) of a symmetric matrix: Householder
+// reduction to tridiagonal form, then QL iterations (tred2 and tql2 from JAMA)
+function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const v = matrix.map(row => row.slice());
+  const d = v[n - 1].slice();
+  const e = new Array(n).fill(0);
+
+  // Householder reduction to tridiagonal form
+  for (let i = n - 1; i > 0; i--) {
+    let scale = 0;
+    let h = 0;
+    for (let k = 0; k < i; k++) {
+      scale += Math.abs(d[k]);
+    }
+    if (scale === 0) {
+      e[i] = d[i - 1];
+      for (let j = 0; j < i; j++) {
+        d[j] = v[i - 1][j];
+        v[i][j] = 0;
+        v[j][i] = 0;
+      }
+    } else {
+      for (let k = 0; k < i; k++) {
+        d[k] /= scale;
+        h += d[k] * d[k];
+      }
+      let f = d[i - 1];
+      let g = f > 0 ? -Math.sqrt(h) : Math.sqrt(h);
+      e[i] = scale * g;
+      h -= f * g;
+      d[i - 1] = f - g;
+      for (let j = 0; j < i; j++) {
+        e[j] = 0;
+      }
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        v[j][i] = f;
+        g = e[j] + v[j][j] * f;
+        for (let k = j + 1; k <= i - 1; k++) {
+          g += v[k][j] * d[k];
+          e[k] += v[k][j] * f;
+        }
+        e[j] = g;
+      }
+      f = 0;
+      for (let j = 0; j < i; j++) {
+        e[j] /= h;
+        f += e[j] * d[j];
+      }
+      const hh = f / (h + h);
+      for (let j = 0; j < i; j++) {
+        e[j] -= hh * d[j];
+      }
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        g = e[j];
+        for (let k = j; k <= i - 1; k++) {
+          v[k][j] -= f * e[k] + g * d[k];
+        }
+        d[j] = v[i - 1][j];
+        v[i][j] = 0;
+      }
+    }
+    d[i] = h;
+  }
+  // Accumulate the transformations
+  for (let i = 0; i < n - 1; i++) {
+    v[n - 1][i] = v[i][i];
+    v[i][i] = 1;
+    const h = d[i + 1];
+    if (h !== 0) {
+      for (let k = 0; k <= i; k++) {
+        d[k] = v[k][i + 1] / h;
+      }
+      for (let j = 0; j <= i; j++) {
+        let g = 0;
+        for (let k = 0; k <= i; k++) {
+          g += v[k][i + 1] * v[k][j];
+        }
+        for (let k = 0; k <= i; k++) {
+          v[k][j] -= g * d[k];
+        }
+      }
+    }
+    for (let k = 0; k <= i; k++) {
+      v[k][i + 1] = 0;
+    }
+  }
+  for (let j = 0; j < n; j++) {
+    d[j] = v[n - 1][j];
+    v[n - 1][j] = 0;
+  }
+  v[n - 1][n - 1] = 1;
+  e[0] = 0;
+
+  // QL iterations on the tridiagonal matrix
+  const w = v[0].map((_, j) => v.map(row => row[j])); // The vectors as rows, so rotations run along arrays
+  for (let i = 1; i < n; i++) {
+    e[i - 1] = e[i];
+  }
+  e[n - 1] = 0;
+  let f = 0;
+  let tst1 = 0;
+  const eps = Math.pow(2, -52);
+  for (let l = 0; l < n; l++) {
+    tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+    let m = l;
+    while (m < n - 1 && Math.abs(e[m]) > eps * tst1) {
+      m++;
+    }
+    if (m > l) {
+      do {
+        let g = d[l];
+        let p = (d[l + 1] - g) / (2 * e[l]);
+        let r = Math.sqrt(p * p + 1);
+        if (p < 0) {
+          r = -r;
+        }
+        d[l] = e[l] / (p + r);
+        d[l + 1] = e[l] * (p + r);
+        const dl1 = d[l + 1];
+        let h = g - d[l];
+        for (let i = l + 2; i < n; i++) {
+          d[i] -= h;
+        }
+        f += h;
+        p = d[m];
+        let c = 1;
+        let c2 = c;
+        let c3 = c;
+        const el1 = e[l + 1];
+        let s = 0;
+        let s2 = 0;
+        for (let i = m - 1; i >= l; i--) {
+          c3 = c2;
+          c2 = c;
+          s2 = s;
+          g = c * e[i];
+          h = c * p;
+          r = Math.sqrt(p * p + e[i] * e[i]);
+          e[i + 1] = s * r;
+          s = e[i] / r;
+          c = p / r;
+          p = c * d[i] - s * g;
+          d[i + 1] = h + s * (c * g + s * d[i]);
+          const wi = w[i];
+          const wi1 = w[i + 1];
+          for (let k = 0; k < n; k++) {
+            h = wi1[k];
+            wi1[k] = s * wi[k] + c * h;
+            wi[k] = c * wi[k] - s * h;
+          }
+        }
+        p = -s * s2 * c3 * el1 * e[l] / dl1;
+        e[l] = s * p;
+        d[l] = c * p;
+      } while (Math.abs(e[l]) > eps * tst1);
+    }
+    d[l] += f;
+    e[l] = 0;
+  }
+  return { values: d, vectors: w[0].map((_, i) => w.map(row => row[i])) };
+}
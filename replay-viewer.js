@@ -0,0 +1,247 @@
+// Replay viewer
+// Plays a recorded run (see replay.js) on gameCanvas with play/pause, frame stepping and a scrub bar.
+// Sources: the last interactive run (V after a game over), any bot of the last swarm generation,
+// or a replay file. Replays can be exported as JSON.
+
+// Viewer state
+const replayState = {
+  active: false,
+  replay: null,
+  game: null,       // Game re-simulated up to the shown frame
+  playing: false
+};
+
+// UI element references
+const replayUI = {
+  panel: null,
+  info: null,
+  play: null,
+  scrub: null,
+  botRank: null,
+  importFile: null
+};
+
+function initReplayViewer() {
+  replayUI.panel = document.getElementById('replay-panel');
+  replayUI.info = document.getElementById('replayInfo');
+  replayUI.play = document.getElementById('replayPlay');
+  replayUI.scrub = document.getElementById('replayScrub');
+  replayUI.botRank = document.getElementById('replayBotRank');
+  replayUI.importFile = document.getElementById('replayImportFile');
+
+  if (!replayUI.panel) {
+    return;
+  }
+
+  document.getElementById('replayOpenBtn').addEventListener('click', () => openReplayViewer(lastRunReplay()));
+  document.getElementById('replayLastRun').addEventListener('click', () => loadReplay(lastRunReplay()));
+  document.getElementById('replaySwarmBot').addEventListener('click', loadSwarmBotReplay);
+  document.getElementById('replayStepBack').addEventListener('click', () => stepReplay(-1));
+  document.getElementById('replayStep').addEventListener('click', () => stepReplay(1));
+  document.getElementById('replayExport').addEventListener('click', exportReplay);
+  document.getElementById('replayImport').addEventListener('click', () => replayUI.importFile.click());
+  document.getElementById('replayClose').addEventListener('click', closeReplayViewer);
+  replayUI.importFile.addEventListener('change', importReplay);
+  replayUI.play.addEventListener('click', toggleReplayPlayback);
+  replayUI.scrub.addEventListener('input', () => seekReplay(parseInt(replayUI.scrub.value)));
+
+  document.addEventListener('keydown', onReplayKeyDown);
+}
+
+function onReplayKeyDown(event) {
+  if (isTypingInField(event) || (window.levelEditor && window.levelEditor.isActive())) {
+    return;
+  }
+  // 'V' watches the last run
+  if (event.key === 'v' || event.key === 'V') {
+    if (replayState.active) {
+      closeReplayViewer();
+    } else {
+      openReplayViewer(lastRunReplay());
+    }
+    return;
+  }
+  if (!replayState.active || !replayState.replay) {
+    return;
+  }
+  if (event.key === ' ') {
+    event.preventDefault();
+    toggleReplayPlayback();
+  } else if (event.key === 'ArrowRight') {
+    stepReplay(1);
+  } else if (event.key === 'ArrowLeft') {
+    stepReplay(-1);
+  }
+}
+
+function lastRunReplay() {
+  return window.geoDashGame ? window.geoDashGame.getLastReplay() : null;
+}
+
+function openReplayViewer(replay) {
+  if (window.swarmVisualizer && window.swarmVisualizer.isTraining()) {
+    console.log("❌ Stop swarm training before watching a replay.");
+    return;
+  }
+  replayState.active = true;
+  replayUI.panel.hidden = false;
+  loadReplay(replay);
+  console.log("🎬 Replay viewer opened");
+}
+
+function closeReplayViewer() {
+  replayState.active = false;
+  replayState.playing = false;
+  replayUI.panel.hidden = true;
+  console.log("🎬 Replay viewer closed");
+}
+
+function loadReplay(replay) {
+  replayState.replay = replay;
+  replayState.playing = false;
+  replayUI.play.textContent = '▶️';
+  if (!replay) {
+    replayState.game = null;
+    replayUI.info.textContent = 'No replay yet - finish a run, or train the swarm for a generation';
+    drawReplay();
+    return;
+  }
+  replayUI.scrub.max = replay.frames;
+  seekReplay(0);
+}
+
+// Replay of the bot with this fitness rank (1 = best) in the last swarm generation
+function loadSwarmBotReplay() {
+  const rank = parseInt(replayUI.botRank.value) || 1;
+  const replay = window.swarmVisualizer ? window.swarmVisualizer.getBotReplay(rank) : null;
+  if (!replay) {
+    replayUI.info.textContent = 'No finished swarm generation yet';
+    return;
+  }
+  loadReplay(replay);
+}
+
+function seekReplay(frame) {
+  const replay = replayState.replay;
+  if (!replay) {
+    return;
+  }
+  frame = Math.max(0, Math.min(replay.frames, frame));
+  // Going forward continues the current simulation; going back re-simulates from the start
+  if (!replayState.game || frame < replayState.game.frame) {
+    replayState.game = replayGameAt(replay, frame);
+  } else {
+    const game = replayState.game;
+    while (game.frame < frame && !game.gameOver) {
+      game.step(replay.dt);
+    }
+  }
+  replayUI.scrub.value = replayState.game.frame;
+  drawReplay();
+}
+
+function stepReplay(frames) {
+  replayState.playing = false;
+  replayUI.play.textContent = '▶️';
+  if (replayState.game) {
+    seekReplay(replayState.game.frame + frames);
+  }
+}
+
+function toggleReplayPlayback() {
+  if (!replayState.replay) {
+    return;
+  }
+  if (replayState.game.frame >= replayState.replay.frames) {
+    seekReplay(0); // Play again from the start
+  }
+  replayState.playing = !replayState.playing;
+  replayUI.play.textContent = replayState.playing ? '⏸️' : '▶️';
+  if (replayState.playing) {
+    requestAnimationFrame(playReplayFrame);
+  }
+}
+
+// One replay frame per animation frame
+function playReplayFrame() {
+  if (!replayState.active || !replayState.playing) {
+    return;
+  }
+  seekReplay(replayState.game.frame + 1);
+  if (replayState.game.frame >= replayState.replay.frames || replayState.game.gameOver) {
+    replayState.playing = false;
+    replayUI.play.textContent = '▶️';
+    return;
+  }
+  requestAnimationFrame(playReplayFrame);
+}
+
+function drawReplay() {
+  const canvas = document.getElementById('gameCanvas');
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const replay = replayState.replay;
+  const game = replayState.game;
+  if (!replay || !game) {
+    return;
+  }
+
+  // The recorded course size, scaled to the canvas
+  ctx.save();
+  ctx.scale(canvas.width / replay.width, canvas.height / replay.height);
+  for (const obstacle of game.obstacles) {
+    obstacle.draw(ctx);
+  }
+  const jumpedNow = replay.jumps.includes(game.frame);
+  ctx.fillStyle = jumpedNow ? 'lime' : 'blue';
+  ctx.fillRect(game.player.x, game.player.y, game.player.width, game.player.height);
+  ctx.restore();
+
+  // Where the run ends
+  const atEnd = game.frame >= replay.frames;
+  if (atEnd) {
+    const crashed = replay.outcome.startsWith('hit') || replay.outcome.startsWith('fell');
+    ctx.fillStyle = crashed ? 'red' : 'green';
+    ctx.font = '20px Arial';
+    ctx.fillText(`${crashed ? '💥' : '🏁'} ${replay.outcome}`, 20, canvas.height / 2);
+  }
+
+  const jumpsSoFar = replay.jumps.filter(f => f <= game.frame).length;
+  replayUI.info.textContent = `${replay.kind} run | frame ${game.frame}/${replay.frames} | ` +
+    `${game.totalTime.toFixed(2)}s | jumps ${jumpsSoFar}/${replay.jumps.length} | ${replay.outcome}`;
+}
+
+function exportReplay() {
+  const replay = replayState.replay;
+  if (!replay) {
+    return;
+  }
+  downloadFile(`replay-${replay.kind}-${replay.time.toFixed(1)}s.json`, JSON.stringify(replay));
+}
+
+function importReplay() {
+  const file = replayUI.importFile.files[0];
+  replayUI.importFile.value = '';
+  if (!file) {
+    return;
+  }
+  file.text().then(text => {
+    loadReplay(parseReplay(text));
+  }).catch(err => {
+    replayUI.info.textContent = `❌ Bad replay file: ${err.message}`;
+  });
+}
+
+// Initialize when page loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initReplayViewer);
+} else {
+  initReplayViewer();
+}
+
+window.replayViewer = {
+  isActive: () => replayState.active,
+  open: openReplayViewer,
+  close: closeReplayViewer
+};
@@ -0,0 +1,83 @@
+// Run replays
+// A replay is everything needed to play a run again exactly: the course (seed or level,
+// difficulty, size), the fixed step and the frames in which the player jumped.
+// Playback re-simulates the run with the headless Game, so it is deterministic.
+//
+//   {
+//     "version": 1,
+//     "kind": "manual" | "ai" | "swarm",
+//     "seed": 12345, "level": null, "difficulty": { ... },
+//     "width": 800, "height": 450, "dt": 0.0166,
+//     "brain": { ... }, "genome": [ ... ],   // AI runs (null for manual runs)
+//     "jumps": [12, 80, ...],    // frames (1-based) in which a jump started
+//     "frames": 1800, "time": 30.0, "outcome": "hit spike"
+//   }
+
+const REPLAY_VERSION = 1;
+
+// Replay of a finished Game stepped at a fixed dt (interactive runs, swarm bots, headless runs)
+function replayFromGame(game, kind, dt) {
+  return {
+    version: REPLAY_VERSION,
+    kind: kind,
+    seed: game.seed,
+    level: game.level,
+    difficulty: game.difficulty,
+    width: game.canvasWidth,
+    height: game.canvasHeight,
+    dt: dt,
+    brain: game.brain ? game.brain.layout : null,
+    genome: game.genome,
+    jumps: game.jumpFrames.slice(),
+    frames: game.frame,
+    time: game.totalTime,
+    outcome: describeOutcome(game.killedBy, game.completed)
+  };
+}
+
+// "hit spike", "fell into a gap", "level complete" or "time cap"
+function describeOutcome(killedBy, completed) {
+  if (killedBy === "gap") return "fell into a gap";
+  if (killedBy) return `hit ${killedBy}`;
+  return completed ? "level complete" : "time cap";
+}
+
+// Check a replay (object or JSON string)
+function parseReplay(data) {
+  const replay = typeof data === "string" ? JSON.parse(data) : data;
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new Error(`Not a version ${REPLAY_VERSION} replay`);
+  }
+  if (!Array.isArray(replay.jumps) || !(replay.frames >= 0)) {
+    throw new Error("Replay needs \"jumps\" and \"frames\"");
+  }
+  if (!(replay.dt > 0)) {
+    throw new Error("Replay needs a fixed \"dt\"");
+  }
+  if (replay.level) {
+    replay.level = parseLevel(replay.level);
+  }
+  return replay;
+}
+
+// A fresh Game that jumps exactly where the recorded run did
+function createReplayGame(replay) {
+  const jumps = new Set(replay.jumps);
+  return new Game(replay.genome, replay.seed, {
+    brain: replay.brain,
+    level: replay.level,
+    difficulty: replay.difficulty,
+    width: replay.width,
+    height: replay.height,
+    pilot: { shouldJump: g => jumps.has(g.frame) }
+  });
+}
+
+// Game state after `frame` frames of a replay
+function replayGameAt(replay, frame) {
+  const game = createReplayGame(replay);
+  while (game.frame < frame && !game.gameOver) {
+    game.step(replay.dt);
+  }
+  return game;
+}
@@ -0,0 +1,93 @@
+// Robustness
+// A score from one course can be luck. These helpers play a genome on sets of seeded courses:
+// the GA can score each generation on a fixed training set (GA setting "courses") and use the
+// mean, and a separate held-out test set shows whether a champion learned to play or only
+// learned its courses.
+
+const TEST_COURSES = 10;  // Default size of the held-out test set
+const TEST_SEED = 1;      // Default seed of the test set, fixed so reports compare across runs
+const TRAINING_SET_SALT = 0x9e3779b9; // Keeps a run's training set apart from the test set of the same seed
+
+// `count` course seeds drawn from `seed`
+function courseSeeds(seed, count) {
+  const rng = new SeededRandom(seed);
+  return Array.from({length: count}, () => rng.nextSeed());
+}
+
+// The fixed training courses of a run with this seed
+function trainingCourseSeeds(seed, count) {
+  return courseSeeds((seed ^ TRAINING_SET_SALT) >>> 0, count);
+}
+
+// Per-genome mean of the scores a population got on several courses
+// perCourse: one scored population ([{ genome, fitness, time, objectives }], population order) per course
+function meanScores(perCourse) {
+  return perCourse[0].map((first, i) => {
+    const scores = perCourse.map(course => course[i]);
+    const mean = value => scores.reduce((sum, s) => sum + value(s), 0) / scores.length;
+    return {
+      genome: first.genome,
+      fitness: mean(s => s.fitness),
+      time: mean(s => s.time),
+      objectives: first.objectives.map((_, m) => mean(s => s.objectives[m]))
+    };
+  });
+}
+
+// { mean, median, variance, worst, best } of a list of numbers
+function summarizeScores(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return {
+    mean: mean,
+    median: sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    variance: values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length,
+    worst: sorted[0],
+    best: sorted[sorted.length - 1]
+  };
+}
+
+// Survival time and fitness of a genome on each course, summarized
+// options: Game options (brain, level, difficulty, fitness)
+function scoreOnCourses(genome, seeds, options) {
+  const runs = seeds.map(seed => {
+    const game = new Game(genome, seed, options);
+    game.run();
+    return game.score();
+  });
+  return {
+    courses: seeds.length,
+    survival: summarizeScores(runs.map(run => run.time)),
+    fitness: summarizeScores(runs.map(run => run.fitness))
+  };
+}
+
+// How a genome does on its training courses and on held-out test courses
+// options: Game options plus trainSeeds and testSeeds
+// Returns { train, test, gap } where gap is how much more mean fitness it gets in training
+function robustnessReport(genome, options) {
+  const train = scoreOnCourses(genome, options.trainSeeds, options);
+  const test = scoreOnCourses(genome, options.testSeeds, options);
+  return { train: train, test: test, gap: train.fitness.mean - test.fitness.mean };
+}
+
+// Report for an engine's champion: the courses it was scored on against a test set
+function engineRobustnessReport(engine, testSeeds) {
+  const champion = engine.champion;
+  return robustnessReport(champion.genome, {
+    brain: engine.layout,
+    level: engine.level,
+    // The stage the champion was scored at, before any curriculum step
+    difficulty: Object.assign({}, engine.difficulty, { stage: champion.stage }),
+    fitness: engine.fitness,
+    trainSeeds: engine.trainingCourses || [champion.courseSeed],
+    testSeeds: testSeeds
+  });
+}
+
+// "10 courses: mean 24.10s, median 30.00s, sd 7.21s, worst 6.30s"
+function describeCourseScores(scores) {
+  const s = scores.survival;
+  return `${scores.courses} course${scores.courses === 1 ? "" : "s"}: mean ${s.mean.toFixed(2)}s, median ${s.median.toFixed(2)}s, sd ${Math.sqrt(s.variance).toFixed(2)}s, worst ${s.worst.toFixed(2)}s`;
+}
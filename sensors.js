@@ -0,0 +1,83 @@
+// Bot sensors
+// Each sensor turns the game state into one normalized brain input (roughly [0, 1], or [-1, 1] for velocity).
+// A brain layout lists the sensors it was trained with, in input order.
+//
+// Sensors read a "view" of the game: { player, obstacles, width, height }
+// so the same code works for the headless Game and the interactive canvas game.
+
+// Reference scales used for normalization
+const SENSOR_SIZE_SCALE = 100;   // pixels: obstacle width/height of 100px reads as 1
+const SENSOR_SPEED_SCALE = 500;  // pixels per second
+
+const SENSORS = {
+  distance: {
+    label: "Distance to next obstacle",
+    read: (view, next) => next.length > 0 ? Math.min((next[0].x - view.player.x) / view.width, 1.0) : 1.0
+  },
+  height: {
+    label: "Own height (y)",
+    read: view => view.player.y / view.height
+  },
+  obstacleWidth: {
+    label: "Next obstacle width",
+    read: (view, next) => next.length > 0 ? Math.min(next[0].width / SENSOR_SIZE_SCALE, 1.0) : 0
+  },
+  obstacleHeight: {
+    label: "Next obstacle height",
+    read: (view, next) => next.length > 0 ? Math.min(next[0].height / SENSOR_SIZE_SCALE, 1.0) : 0
+  },
+  obstacleElevation: {
+    label: "Next obstacle elevation",
+    read: (view, next) => next.length > 0 ? (view.height - (next[0].y + next[0].height)) / view.height : 0
+  },
+  obstacleSpeed: {
+    label: "Next obstacle speed",
+    read: (view, next) => next.length > 0 ? Math.min(next[0].speed / SENSOR_SPEED_SCALE, 1.0) : 0
+  },
+  nextGap: {
+    label: "Gap to the obstacle after next",
+    read: (view, next) => next.length > 1
+      ? Math.min((next[1].x - (next[0].x + next[0].width)) / view.width, 1.0)
+      : 1.0
+  },
+  velocityY: {
+    label: "Own vertical velocity",
+    read: view => Math.max(-1, Math.min(1, view.player.velocityY / Math.abs(view.player.jumpPower)))
+  },
+  grounded: {
+    label: "On the ground",
+    read: view => view.player.grounded ? 1 : 0
+  }
+};
+
+// The original two inputs
+const DEFAULT_SENSORS = ["distance", "height"];
+
+// Obstacles the player has not yet passed, nearest first
+function upcomingObstacles(view) {
+  return view.obstacles
+    .filter(o => o.x + o.width > view.player.x)
+    .sort((a, b) => a.x - b.x);
+}
+
+// Build the brain input vector for a list of sensor names
+function readSensors(sensorNames, view) {
+  const next = upcomingObstacles(view);
+  return sensorNames.map(name => SENSORS[name].read(view, next));
+}
+
+// Accepts an array of names or a string like "distance,height,velocityY"
+function parseSensorList(sensors) {
+  if (typeof sensors === "string") {
+    sensors = sensors.split(",").map(s => s.trim()).filter(s => s.length > 0);
+  }
+  if (sensors.length === 0) {
+    throw new Error("At least one sensor must be selected");
+  }
+  for (const name of sensors) {
+    if (!SENSORS[name]) {
+      throw new Error(`Unknown sensor "${name}" (use ${Object.keys(SENSORS).join(", ")})`);
+    }
+  }
+  return sensors;
+}
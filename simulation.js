@@ -0,0 +1,394 @@
+// Headless game simulation
+// No DOM access here, so this file runs both in the browser and under Node (see geodash.js)
+
+// Global constants for GA
+const CANVAS_WIDTH = 800;  // Default dimensions for headless simulation
+const CANVAS_HEIGHT = 450;
+
+// Seeded pseudo-random number generator (mulberry32)
+// Courses and GA runs draw from one of these so a run can be reproduced from its seed
+class SeededRandom {
+  constructor(seed = randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Uniform float in [0, 1)
+  random() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Derive a fresh 32-bit seed, e.g. for the course of the next generation
+  nextSeed() {
+    return Math.floor(this.random() * 4294967296) >>> 0;
+  }
+}
+
+// Unseeded source of new seeds
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Obstacle class
+// type is one of the OBSTACLE_TYPES in levels.js; random courses only use "block"
+class Obstacle {
+  constructor(x, y, width, height, speed, color = "red", type = "block") {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+    this.speed = speed; // pixels per second
+    this.color = color;
+    this.type = type;
+    this.cleared = false; // Passed behind the player (counted by the headless Game)
+  }
+
+  update(deltaTime) {
+    // Move left
+    this.x -= this.speed * deltaTime;
+  }
+
+  draw(ctx) {
+    ctx.fillStyle = this.color;
+    if (this.type === "spike") {
+      ctx.beginPath();
+      ctx.moveTo(this.x, this.y + this.height);
+      ctx.lineTo(this.x + this.width / 2, this.y);
+      ctx.lineTo(this.x + this.width, this.y + this.height);
+      ctx.closePath();
+      ctx.fill();
+    } else {
+      ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+  }
+
+  isOffScreen() {
+    return this.x + this.width < 0;
+  }
+
+  // Solid obstacles can be stood on and bumped from below; only hitting their side kills
+  isSolid() {
+    return OBSTACLE_TYPES[this.type].solid === true;
+  }
+
+  // Deadly contact. Touching edges (e.g. standing on a solid top) doesn't count;
+  // landing and head bumps are resolved in updatePlayerPhysics before this runs,
+  // so any overlap left with a solid obstacle is a frontal hit.
+  collidesWith(player) {
+    // Gaps are holes in the ground, not something to run into
+    if (this.type === "gap") {
+      return false;
+    }
+    return !(
+      player.x + player.width  <= this.x + CONTACT_EPSILON ||
+      player.x              >= this.x + this.width - CONTACT_EPSILON ||
+      player.y + player.height <= this.y + CONTACT_EPSILON ||
+      player.y             >= this.y + this.height - CONTACT_EPSILON
+    );
+  }
+
+  overlapsHorizontally(player) {
+    return player.x + player.width > this.x && player.x < this.x + this.width;
+  }
+}
+
+const CONTACT_EPSILON = 0.01; // pixels; edge contact closer than this isn't a hit
+const LANDING_TOLERANCE = 1;  // pixels; how far below a solid top the feet may start and still land
+
+// Obstacle settings
+const minSpawnDelay = 0.8;      // seconds
+const maxSpawnDelay = 2.5;      // seconds
+const obstacleSpeed = 250;      // pixels per second
+const obstacleSize = { w: 25, h: 25 };
+
+const MAX_RUN_TIME = 30;       // seconds; runs stop here (the fitness "cap")
+const FIXED_STEP = 1 / 60;     // seconds; every Game is stepped at 60fps (training, swarm and interactive play)
+
+function getRandomDelay(rng) {
+  return minSpawnDelay + rng.random() * (maxSpawnDelay - minSpawnDelay);
+}
+
+// Difficulty of random courses
+//   stage: curriculum stage, 0 is the original game; each stage is faster with tighter spawns
+//   speedRamp: obstacle speed gained per second of play (px/s per second)
+//   gapRamp: share the spawn delays shrink per second of play
+const DEFAULT_DIFFICULTY = { stage: 0, speedRamp: 0, gapRamp: 0 };
+const STAGE_SPEED_STEP = 0.15;   // +15% obstacle speed per stage
+const STAGE_GAP_STEP = 0.1;      // -10% spawn delay per stage
+const MAX_OBSTACLE_SPEED = 800;  // pixels per second
+const MIN_SPAWN_SCALE = 0.3;     // Spawn delays never shrink below 30% of the originals
+
+// Fill in defaults and check the values
+function makeDifficulty(settings = {}) {
+  const difficulty = Object.assign({}, DEFAULT_DIFFICULTY);
+  for (const key of Object.keys(DEFAULT_DIFFICULTY)) {
+    if (settings[key] !== undefined) {
+      difficulty[key] = settings[key];
+    }
+  }
+  if (!Number.isInteger(difficulty.stage) || difficulty.stage < 0) {
+    throw new Error(`Difficulty stage must be a whole number >= 0, got ${difficulty.stage}`);
+  }
+  if (!(difficulty.speedRamp >= 0) || !(difficulty.gapRamp >= 0)) {
+    throw new Error("Difficulty ramps must be >= 0");
+  }
+  return difficulty;
+}
+
+// Obstacle speed and spawn-delay multiplier after `time` seconds of play
+function difficultyAt(difficulty, time) {
+  const speed = obstacleSpeed * (1 + STAGE_SPEED_STEP * difficulty.stage) + difficulty.speedRamp * time;
+  const spawnScale = (1 - STAGE_GAP_STEP * difficulty.stage) * (1 - difficulty.gapRamp * time);
+  return {
+    speed: Math.min(MAX_OBSTACLE_SPEED, speed),
+    spawnScale: Math.max(MIN_SPAWN_SCALE, spawnScale)
+  };
+}
+
+// Random course: identical ground blocks at random intervals, getting harder with the difficulty
+class RandomCourse {
+  constructor(rng, difficulty = DEFAULT_DIFFICULTY) {
+    this.rng = rng;
+    this.difficulty = difficulty;
+    this.elapsed = 0;
+    this.spawnTimer = 0;
+    this.nextSpawnDelay = this.rollSpawnDelay();
+  }
+
+  // Current obstacle speed (how fast the world scrolls past the player)
+  scrollSpeed() {
+    return difficultyAt(this.difficulty, this.elapsed).speed;
+  }
+
+  rollSpawnDelay() {
+    return getRandomDelay(this.rng) * difficultyAt(this.difficulty, this.elapsed).spawnScale;
+  }
+
+  // Obstacles that enter the screen during this step
+  update(dt, canvasWidth, canvasHeight) {
+    this.elapsed += dt;
+    this.spawnTimer += dt;
+    if (this.spawnTimer < this.nextSpawnDelay) {
+      return [];
+    }
+    this.spawnTimer = 0;
+    this.nextSpawnDelay = this.rollSpawnDelay();
+
+    var yPos = canvasHeight - obstacleSize.h;
+    return [new Obstacle(
+      canvasWidth,
+      yPos,
+      obstacleSize.w,
+      obstacleSize.h,
+      difficultyAt(this.difficulty, this.elapsed).speed
+    )];
+  }
+
+  // Random courses never run out
+  isFinished() {
+    return false;
+  }
+}
+
+// A level (see levels.js) if given, otherwise a random course
+// Levels play exactly as authored; difficulty only applies to random courses
+function makeCourse(level, rng, difficulty) {
+  return level ? new LevelCourse(level) : new RandomCourse(rng, difficulty);
+}
+
+// True when the player is entirely above a gap in the ground
+function isOverGap(player, obstacles) {
+  return obstacles.some(o =>
+    o.type === "gap" && o.x <= player.x && player.x + player.width <= o.x + o.width
+  );
+}
+
+// Gravity, movement, ground contact and solid-block tops/bottoms for one step
+// Returns true once the player has fallen through a gap and out of the world
+function updatePlayerPhysics(player, dt, obstacles, canvasHeight) {
+  if (!player.grounded) {
+    player.velocityY += player.gravity * dt;
+  }
+
+  const previousY = player.y;
+  player.y += player.velocityY * dt;
+  player.grounded = false;
+
+  for (const o of obstacles) {
+    if (!o.isSolid() || !o.overlapsHorizontally(player)) {
+      continue;
+    }
+    if (player.velocityY >= 0 &&
+        previousY + player.height <= o.y + LANDING_TOLERANCE &&
+        player.y + player.height >= o.y) {
+      // Falling onto (or resting on) the top: stand on it
+      player.y = o.y - player.height;
+      player.velocityY = 0;
+      player.grounded = true;
+    } else if (player.velocityY < 0 &&
+        previousY >= o.y + o.height - LANDING_TOLERANCE &&
+        player.y <= o.y + o.height) {
+      // Jumping into the underside: bump the head and start falling
+      player.y = o.y + o.height;
+      player.velocityY = 0;
+    }
+  }
+
+  // Ground collision, unless the player is over a gap or has already dropped into one
+  var groundY = canvasHeight - player.height;
+  if (!player.grounded && player.y >= groundY && previousY <= groundY + 0.5 && !isOverGap(player, obstacles)) {
+    player.y = groundY;
+    player.velocityY = 0;
+    player.grounded = true;
+  }
+
+  return player.y > canvasHeight;
+}
+
+// Headless Game class for GA training
+// Games built with the same seed face exactly the same obstacle course
+// Options: brain (layout from brain.js, defaults to the linear model; its sensors pick the inputs)
+//          level (parsed level from levels.js; replaces random spawning, so the seed is unused)
+//          difficulty (stage and in-run ramps for random courses, see makeDifficulty)
+//          fitness (parsed fitness spec from fitness.js, defaults to survival time)
+//          pilot ({ shouldJump(game) } deciding jumps instead of the brain, e.g. a replay; genome may be null)
+//          width, height (course size, defaults to CANVAS_WIDTH x CANVAS_HEIGHT)
+class Game {
+  constructor(genome, seed = randomSeed(), options = {}) {
+    this.brain = genome ? new Brain(options.brain || DEFAULT_BRAIN_LAYOUT, genome) : null;
+    this.sensors = this.brain ? this.brain.layout.sensors : [];
+    this.pilot = options.pilot || null;
+    this.fitness = options.fitness || parseFitness(DEFAULT_FITNESS);
+    this.genome = genome; // Store original genome for breeding
+
+    // Canvas dimensions for simulation
+    this.canvasWidth = options.width || CANVAS_WIDTH;
+    this.canvasHeight = options.height || CANVAS_HEIGHT;
+
+    // Player setup (copy from main game)
+    this.player = {
+      x: this.canvasWidth / 2 - 10,
+      y: this.canvasHeight - 30,
+      width: 20,
+      height: 20,
+      velocityY: 0,
+      gravity: 981,
+      jumpPower: -500,
+      grounded: false
+    };
+
+    // Obstacle management
+    this.seed = seed;
+    this.rng = new SeededRandom(seed);
+    this.level = options.level || null;
+    this.difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+    this.obstacles = [];
+    this.course = makeCourse(this.level, this.rng, this.difficulty);
+    this.totalTime = 0;
+    this.distance = 0;          // pixels scrolled
+    this.obstaclesCleared = 0;  // obstacles that passed behind the player
+    this.jumps = 0;
+    this.frame = 0;             // steps taken
+    this.jumpFrames = [];       // frames in which a jump started (for replays)
+    this.gameOver = false;
+    this.completed = false; // Level finished (never set on random courses)
+    this.killedBy = null;   // "gap" or the type of obstacle hit
+  }
+
+  step(dt) {
+    // 1) Accumulate fitness stats (survival time, distance)
+    this.totalTime += dt;
+    this.distance += this.course.scrollSpeed() * dt;
+    this.frame++;
+
+    // 2) Player physics
+    if (updatePlayerPhysics(this.player, dt, this.obstacles, this.canvasHeight)) {
+      this.gameOver = true; // Fell into a gap
+      this.killedBy = "gap";
+      return;
+    }
+
+    // 3) GA "brain" (or pilot) decision from the normalized sensor inputs
+    // Jump if the network says so and player is grounded
+    if (this.player.grounded && this.wantsJump()) {
+      this.player.velocityY = this.player.jumpPower;
+      this.player.grounded = false;
+      this.jumps++;
+      this.jumpFrames.push(this.frame);
+    }
+
+    // 4) Spawn obstacles
+    this.obstacles.push(...this.course.update(dt, this.canvasWidth, this.canvasHeight));
+
+    // 5) Update and cull obstacles
+    for (let i = this.obstacles.length - 1; i >= 0; i--) {
+      this.obstacles[i].update(dt);
+      if (this.obstacles[i].isOffScreen()) {
+        this.obstacles.splice(i, 1);
+      }
+    }
+
+    // 6) Collision detection
+    for (let j = 0; j < this.obstacles.length; j++) {
+      if (this.obstacles[j].collidesWith(this.player)) {
+        this.gameOver = true;
+        this.killedBy = this.obstacles[j].type;
+        break;
+      }
+    }
+
+    if (this.gameOver) {
+      return;
+    }
+
+    // 7) Count obstacles that are now behind the player
+    for (const obstacle of this.obstacles) {
+      if (!obstacle.cleared && obstacle.x + obstacle.width < this.player.x) {
+        obstacle.cleared = true;
+        this.obstaclesCleared++;
+      }
+    }
+
+    // 8) Level complete once everything has been spawned and passed
+    if (this.course.isFinished() && this.obstacles.length === 0) {
+      this.completed = true;
+    }
+  }
+
+  // Still running (not dead, not finished)
+  isRunning(maxTime) {
+    return !this.gameOver && !this.completed && this.totalTime < maxTime;
+  }
+
+  wantsJump() {
+    return this.pilot ? this.pilot.shouldJump(this) : this.brain.shouldJump(this.senseInputs());
+  }
+
+  // Brain input vector from the sensors listed in the brain layout (or another sensor list)
+  senseInputs(sensors = this.sensors) {
+    return readSensors(sensors, {
+      player: this.player,
+      obstacles: this.obstacles,
+      width: this.canvasWidth,
+      height: this.canvasHeight
+    });
+  }
+
+  // Fitness, survival time and objectives of the run so far
+  score() {
+    return scoreGame(this, this.fitness);
+  }
+
+  // Play to the end; returns the fitness
+  run() {
+    while (this.isRunning(MAX_RUN_TIME)) {
+      this.step(FIXED_STEP);
+    }
+
+    return this.score().fitness;
+  }
+}
@@ -0,0 +1,107 @@
+// Background evaluation for the "T" trainer
+// A pool of Web Workers (eval-worker.js) scores a population in parallel; each worker gets
+// one slice and the scores are merged back in population order, so a seeded run trains
+// exactly as it would on the main thread.
+
+const WORKER_SCRIPT = "eval-worker.js";
+const MAX_WORKERS = 8;
+const FALLBACK_CHUNK = 5; // Genomes scored between yields when workers are unavailable
+
+// Leave one core for the page
+function defaultWorkerCount() {
+  const cores = navigator.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+class WorkerPool {
+  constructor(size = defaultWorkerCount()) {
+    this.workers = [];
+    this.pending = new Map(); // job id -> { resolve, reject }
+    this.nextJobId = 0;
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(WORKER_SCRIPT);
+      worker.onmessage = event => this.onResult(event.data);
+      worker.onerror = event => this.onFailure(event);
+      this.workers.push(worker);
+    }
+  }
+
+  // GAEngine evaluate callback: one slice of the population per worker
+  evaluate(population, courseSeed, engine) {
+    const sliceSize = Math.ceil(population.length / this.workers.length);
+    const jobs = this.workers.map((worker, i) => {
+      const genomes = population.slice(i * sliceSize, (i + 1) * sliceSize);
+      if (genomes.length === 0) {
+        return Promise.resolve([]);
+      }
+      return this.send(worker, {
+        genomes: genomes,
+        courseSeed: courseSeed,
+        brain: engine.layout,
+        level: engine.level,
+        difficulty: engine.difficulty,
+        fitness: engine.fitness.spec
+      });
+    });
+
+    return Promise.all(jobs).then(slices =>
+      [].concat(...slices).map((score, i) => Object.assign({ genome: population[i] }, score))
+    );
+  }
+
+  send(worker, job) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextJobId++;
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage(Object.assign({ id: id }, job));
+    });
+  }
+
+  onResult(data) {
+    const job = this.pending.get(data.id);
+    this.pending.delete(data.id);
+    job.resolve(data.results);
+  }
+
+  // A worker failed to load or threw: fail every job still waiting
+  onFailure(event) {
+    event.preventDefault();
+    const error = new Error(event.message || "Evaluation worker failed");
+    for (const job of this.pending.values()) {
+      job.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  terminate() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+  }
+}
+
+// Start a pool of `size` workers, or null if the page can't run workers
+// (0 workers, or a browser that blocks them, e.g. Chrome on file:// pages)
+function openWorkerPool(size) {
+  if (size <= 0 || typeof Worker === "undefined") {
+    return null;
+  }
+  try {
+    return new WorkerPool(size);
+  } catch (err) {
+    console.log(`⚠️ Web Workers unavailable (${err.message}), training on the main thread`);
+    return null;
+  }
+}
+
+// Main-thread evaluator that yields every few genomes so the page keeps drawing
+async function evaluateInChunks(population, courseSeed, engine) {
+  const scored = [];
+  for (let i = 0; i < population.length; i += FALLBACK_CHUNK) {
+    scored.push(...evaluateHeadless(population.slice(i, i + FALLBACK_CHUNK), courseSeed, engine));
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return scored;
+}